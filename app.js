@@ -21,6 +21,17 @@ const app = express();
 
 // Database configuration and connection
 const config = require('./config/database');
+const authConfig = require('./config/auth');
+const sessionConfig = require('./config/session');
+const { MongooseStore } = require('./services/sessionStore');
+const oauth = require('./services/oauth');
+
+// Refuse to start in production with a missing or placeholder session secret
+if (sessionConfig.production && !sessionConfig.hasRealSecret) {
+  console.error(`SESSION_SECRET must be set to a random value of at least ${sessionConfig.minSecretLength} ` +
+    'characters when NODE_ENV is production. Refusing to start.');
+  process.exit(1);
+}
 
 // Updated MongoDB connection without deprecated options
 mongoose.connect(process.env.MONGO_URI || config.database)
@@ -36,11 +47,16 @@ const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 db.once('open', () => {
   console.log('Connected to MongoDB');
+  // Remove movies that have been in the trash past the retention period
+  require('./services/trash').schedulePurge();
 });
 
 // Passport configuration
 require('./config/passport')(passport);
 
+// Client IP and HTTPS detection behind reverse proxies (see config/session.js)
+app.set('trust proxy', sessionConfig.trustProxy);
+
 // View engine setup
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'pug');
@@ -52,14 +68,24 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Session middleware
+// Uploaded cover images (stored outside public/)
+app.use('/uploads', express.static(require('./services/coverStorage').UPLOAD_DIR));
+
+// Session middleware (sessions are stored in MongoDB, see services/sessionStore.js)
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'fallback_secret',
+  name: sessionConfig.cookieName,
+  secret: sessionConfig.secret,
+  store: new MongooseStore({
+    defaultTtlMs: sessionConfig.maxAgeMs,
+    touchAfterMs: sessionConfig.touchAfterMs
+  }),
   resave: false,
   saveUninitialized: false,
-  cookie: { 
-    secure: false, // Set to true in production with HTTPS
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  cookie: {
+    httpOnly: true,
+    secure: sessionConfig.secure,
+    sameSite: sessionConfig.sameSite,
+    maxAge: sessionConfig.maxAgeMs // "Remember me" logins get longer (routes/users.js)
   }
 }));
 
@@ -70,12 +96,26 @@ app.use(passport.session());
 // Flash messages middleware
 app.use(flash());
 
+// CSRF tokens for forms (see middleware/csrf.js)
+app.use(require('./middleware/csrf').csrfProtection);
+
 // Global variables middleware
 app.use((req, res, next) => {
+  // req.flash() stores an empty message box in the session even when just reading,
+  // which would start a session for every visitor and API call
+  const messages = type => (req.session.flash ? req.flash(type) : []);
+
   res.locals.user = req.user || null;
-  res.locals.success_msg = req.flash('success_msg');
-  res.locals.error_msg = req.flash('error_msg');
-  res.locals.error = req.flash('error');
+  res.locals.success_msg = messages('success_msg');
+  res.locals.error_msg = messages('error_msg');
+  res.locals.error = messages('error');
+  // Restore URL for the "Undo" button after moving a movie to the trash
+  res.locals.undo = messages('undo')[0] || null;
+  // Reminder banner for logged-in users who haven't verified their email
+  res.locals.verifyReminder = Boolean(req.user && !req.user.emailVerified &&
+    authConfig.emailVerification === 'warn');
+  // Login providers for the login page and connected accounts settings
+  res.locals.oauthProviders = oauth.listProviders();
   next();
 });
 
@@ -87,8 +127,26 @@ console.log('Movies route:', require('./routes/movies'));
 
 // Routes
 app.use('/', require('./routes/index'));
+app.use('/users/profile', require('./routes/profile'));
+app.use('/users/2fa', require('./routes/twoFactor'));
+app.use('/users/oauth', require('./routes/oauth'));
+app.use('/users/following', require('./routes/follows'));
 app.use('/users', require('./routes/users'));
+app.use('/movies', require('./routes/importExport'));
+app.use('/movies', require('./routes/lookup'));
+app.use('/movies', require('./routes/viewings'));
+app.use('/movies', require('./routes/stats'));
+app.use('/movies', require('./routes/recommendations'));
+app.use('/movies', require('./routes/trash'));
+app.use('/movies', require('./routes/revisions'));
+app.use('/movies', require('./routes/reviews'));
+app.use('/movies', require('./routes/bulk'));
 app.use('/movies', require('./routes/movies'));
+app.use('/lists', require('./routes/lists'));
+app.use('/events', require('./routes/events'));
+app.use('/admin', require('./routes/admin'));
+app.use('/api/v1', require('./routes/api'));
+app.use('/', require('./routes/share'));
 
 console.log('All routes loaded successfully');
 
@@ -105,6 +163,18 @@ app.use((req, res, next) => {
 });
 
 app.use((err, req, res, next) => {
+  // e.g. the session could not be saved after the page was sent
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // API clients get JSON errors (e.g. malformed JSON bodies)
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(err.status || 500).json({
+      error: { status: err.status || 500, message: err.message }
+    });
+  }
+
   res.locals.message = err.message;
   res.locals.error = req.app.get('env') === 'development' ? err : {};
   res.status(err.status || 500);
@@ -0,0 +1,21 @@
+/**
+ * Account security settings
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+module.exports = {
+  // What happens when an unverified account logs in:
+  // 'off' - nothing, 'warn' - log in with a reminder, 'block' - refuse until verified
+  emailVerification: process.env.EMAIL_VERIFICATION || 'warn',
+  // Lifetime of emailed links
+  resetTokenTtlMinutes: parseInt(process.env.RESET_TOKEN_TTL_MINUTES || '60', 10),
+  verifyTokenTtlHours: parseInt(process.env.VERIFY_TOKEN_TTL_HOURS || '48', 10),
+  // Failed logins allowed per account and per IP address within the window
+  // before further attempts are refused for lockoutMinutes
+  loginMaxFailuresPerAccount: parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT || '5', 10),
+  loginMaxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '20', 10),
+  loginWindowMinutes: parseInt(process.env.LOGIN_WINDOW_MINUTES || '15', 10),
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+  // Days audit log entries (logins, password changes, admin actions) are kept
+  auditRetentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS || '365', 10)
+};
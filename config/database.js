@@ -5,5 +5,8 @@
 
 module.exports = {
   database: process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/moviemanagement',
-  secret: process.env.SESSION_SECRET || 'fallback_secret'
+  secret: process.env.SESSION_SECRET || 'fallback_secret',
+  // Signing key and lifetime for API bearer tokens
+  jwtSecret: process.env.JWT_SECRET || process.env.SESSION_SECRET || 'fallback_secret',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h'
 };
\ No newline at end of file
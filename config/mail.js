@@ -0,0 +1,24 @@
+/**
+ * Outgoing email configuration
+ * The file and console transports let the app run without a mail server
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const path = require('path');
+
+module.exports = {
+  // 'smtp', 'file' or 'console' (or any transport registered with services/mailer)
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Movie Manager <no-reply@localhost>',
+  // Base address used in emailed links; defaults to the host of the request
+  appUrl: (process.env.APP_URL || '').replace(/\/+$/, ''),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || ''
+  },
+  // Where the file transport writes .eml files
+  fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail')
+};
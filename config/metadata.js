@@ -0,0 +1,18 @@
+/**
+ * Movie metadata provider configuration
+ * METADATA_BASE_URL can point at a local fixture server for testing
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+module.exports = {
+  // 'tmdb', 'omdb' or any provider registered with services/metadata
+  provider: process.env.METADATA_PROVIDER || '',
+  apiKey: process.env.METADATA_API_KEY || '',
+  // Override the provider's API address (defaults are set per provider)
+  baseUrl: process.env.METADATA_BASE_URL || '',
+  // Where TMDB poster paths are served from
+  imageBaseUrl: process.env.METADATA_IMAGE_BASE_URL || 'https://image.tmdb.org/t/p/w500',
+  timeout: parseInt(process.env.METADATA_TIMEOUT_MS || '5000', 10),
+  // How long provider responses are cached in MongoDB
+  cacheTtlHours: parseInt(process.env.METADATA_CACHE_TTL_HOURS || '168', 10)
+};
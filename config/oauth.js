@@ -0,0 +1,48 @@
+/**
+ * OAuth 2.0 / OpenID Connect login providers
+ * A provider is offered on the login page once its client id and secret are set.
+ * OIDC_ISSUER can point at any OpenID Connect issuer, including the local
+ * mock provider (npm run mock-oidc) for testing.
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const env = process.env;
+
+const providers = [
+  {
+    id: 'google',
+    name: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    clientId: env.GOOGLE_CLIENT_ID || '',
+    clientSecret: env.GOOGLE_CLIENT_SECRET || '',
+    scope: 'openid email profile'
+  },
+  {
+    id: 'github',
+    name: 'GitHub',
+    type: 'github',
+    clientId: env.GITHUB_CLIENT_ID || '',
+    clientSecret: env.GITHUB_CLIENT_SECRET || '',
+    scope: 'read:user user:email'
+  },
+  {
+    // Generic OpenID Connect issuer (Keycloak, Auth0, Okta, the mock provider...)
+    id: 'oidc',
+    name: env.OIDC_NAME || 'Single Sign-On',
+    type: 'oidc',
+    issuer: (env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: env.OIDC_CLIENT_ID || '',
+    clientSecret: env.OIDC_CLIENT_SECRET || '',
+    scope: env.OIDC_SCOPE || 'openid email profile'
+  }
+];
+
+module.exports = {
+  // Providers with credentials (and, for OIDC, an issuer) configured
+  providers: providers.filter(provider =>
+    provider.clientId && provider.clientSecret && (provider.type !== 'oidc' || provider.issuer)),
+  // How long the user has to finish signing in at the provider
+  stateTtlMinutes: 10,
+  timeout: parseInt(env.OAUTH_TIMEOUT_MS || '10000', 10)
+};
@@ -6,30 +6,60 @@
 const LocalStrategy = require('passport-local').Strategy;
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const authConfig = require('./auth');
+const loginThrottle = require('../services/loginThrottle');
+const audit = require('../services/audit');
+
+// Shown for unknown emails and wrong passwords alike
+const INVALID_LOGIN_MSG = 'Invalid email or password';
+
+// Compared against when the email is unknown so failures take the same time
+const DUMMY_HASH = bcrypt.hashSync('no-such-user-password', 10);
 
 module.exports = function(passport) {
   // Local strategy for email/password authentication
+  // Unknown emails and wrong passwords get the same message (and take about as
+  // long) so the login form can't be used to find out which emails are registered
   passport.use(
-    new LocalStrategy({ usernameField: 'email' }, (email, password, done) => {
-      // Match user by email
-      User.findOne({ email: email.toLowerCase() })
-        .then(user => {
-          if (!user) {
-            return done(null, false, { message: 'That email is not registered' });
-          }
-
-          // Match password
-          bcrypt.compare(password, user.password, (err, isMatch) => {
-            if (err) throw err;
-            
-            if (isMatch) {
-              return done(null, user);
-            } else {
-              return done(null, false, { message: 'Password incorrect' });
-            }
+    new LocalStrategy({ usernameField: 'email', passReqToCallback: true }, async (req, email, password, done) => {
+      try {
+        // Match user by email
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        // Match password (against a dummy hash when there is no such user, or the
+        // account was created through a login provider and has no password yet)
+        const hash = user && user.hasPassword ? user.password : DUMMY_HASH;
+        const isMatch = await bcrypt.compare(password, hash) && hash !== DUMMY_HASH;
+
+        if (!isMatch) {
+          await loginThrottle.recordFailure(req.ip, email);
+          await audit.record(req, 'login-failed', {
+            user,
+            email,
+            details: { reason: !user ? 'unknown-email' : user.hasPassword ? 'wrong-password' : 'no-password' }
           });
-        })
-        .catch(err => console.log(err));
+          return done(null, false, { message: INVALID_LOGIN_MSG });
+        }
+
+        // The lockout counter is only reset once the login is complete (routes/users.js),
+        // so a known password can't be used to clear it before the 2FA step
+        if (user.disabled) {
+          await audit.record(req, 'login-failed', { user, details: { reason: 'disabled' } });
+          return done(null, false, { message: 'This account has been disabled' });
+        }
+
+        // Unverified accounts may be refused (see config/auth.js)
+        if (!user.emailVerified && authConfig.emailVerification === 'block') {
+          await audit.record(req, 'login-failed', { user, details: { reason: 'unverified' } });
+          return done(null, false, {
+            message: 'Please verify your email address before logging in. Check your inbox or request a new link.'
+          });
+        }
+
+        return done(null, user);
+      } catch (err) {
+        return done(err);
+      }
     })
   );
 
@@ -42,7 +72,8 @@ module.exports = function(passport) {
   passport.deserializeUser((id, done) => {
     User.findById(id)
       .then(user => {
-        done(null, user);
+        // Disabled accounts are logged out on their next request
+        done(null, user && !user.disabled ? user : false);
       })
       .catch(err => {
         done(err, null);
@@ -0,0 +1,59 @@
+/**
+ * Session and cookie settings
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Placeholder secrets that must never be used in production
+const placeholderSecrets = ['fallback_secret', 'secret', 'changeme', 'change_me', 'your_session_secret'];
+
+// Shortest SESSION_SECRET accepted in production
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Parse the TRUST_PROXY setting for app.set('trust proxy')
+ * 'true'/'false', a number of hops, or addresses/names such as 'loopback'
+ * @param {string} value - Environment value
+ * @returns {boolean|number|string} - Express trust proxy setting
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+/**
+ * Parse SESSION_COOKIE_SECURE: 'true', 'false' or 'auto' (secure when the request is HTTPS)
+ * @param {string} value - Environment value
+ * @param {boolean} production - Whether NODE_ENV is production
+ * @returns {boolean|string} - express-session cookie.secure setting
+ */
+function parseSecure(value, production) {
+  if (value === 'auto') return 'auto';
+  if (value === 'true' || value === 'false') return value === 'true';
+  return production;
+}
+
+const production = process.env.NODE_ENV === 'production';
+const secret = process.env.SESSION_SECRET || '';
+
+module.exports = {
+  production: production,
+  // Signs the session cookie (a long random value in production)
+  secret: secret || 'fallback_secret',
+  hasRealSecret: secret.length >= MIN_SECRET_LENGTH && !placeholderSecrets.includes(secret.toLowerCase()),
+  minSecretLength: MIN_SECRET_LENGTH,
+  cookieName: process.env.SESSION_COOKIE_NAME || 'connect.sid',
+  // HTTPS-only cookies (on by default in production)
+  secure: parseSecure(process.env.SESSION_COOKIE_SECURE, production),
+  sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+  // Number of reverse proxies (or their addresses) in front of the app, so
+  // req.ip and HTTPS detection use the X-Forwarded-* headers
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  // Cookie lifetime for a normal login and with "Remember me" ticked
+  maxAgeMs: parseInt(process.env.SESSION_MAX_AGE_HOURS || '24', 10) * HOUR_MS,
+  rememberMeDays: parseInt(process.env.SESSION_REMEMBER_ME_DAYS || '30', 10),
+  // Unchanged sessions only have their expiry pushed back this often (saves a write per request)
+  touchAfterMs: parseInt(process.env.SESSION_TOUCH_AFTER_MINUTES || '10', 10) * 60 * 1000
+};
@@ -0,0 +1,11 @@
+/**
+ * Trash settings for deleted movies
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+module.exports = {
+  // Days a deleted movie stays in the trash before it is removed for good
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10),
+  // How often expired movies are purged
+  purgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60', 10)
+};
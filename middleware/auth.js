@@ -3,7 +3,11 @@
  * Author: Tien Dung Pham (n01718811)
  */
 
+const jwt = require('jsonwebtoken');
 const Movie = require('../models/Movie');
+const List = require('../models/List');
+const User = require('../models/User');
+const config = require('../config/database');
 
 // Check if user is authenticated
 exports.isAuthenticated = (req, res, next) => {
@@ -14,6 +18,16 @@ exports.isAuthenticated = (req, res, next) => {
   res.redirect('/users/login');
 };
 
+// Check if the logged-in user has one of the given roles
+// Usage: router.use(isAuthenticated, requireRole('admin'))
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (req.user && req.user.hasRole(...roles)) {
+    return next();
+  }
+  req.flash('error_msg', 'You are not authorized to view that resource');
+  res.redirect('/movies');
+};
+
 // Check if user owns the movie
 exports.checkMovieOwnership = async (req, res, next) => {
   try {
@@ -30,10 +44,68 @@ exports.checkMovieOwnership = async (req, res, next) => {
       return res.redirect('/movies');
     }
     
+    // Make the loaded movie available to the route handler
+    req.movie = movie;
     next();
   } catch (err) {
     console.error(err);
     req.flash('error_msg', 'Error checking movie ownership');
     res.redirect('/movies');
   }
-};
\ No newline at end of file
+};
+
+// Check if user owns the list
+exports.checkListOwnership = async (req, res, next) => {
+  try {
+    const list = await List.findById(req.params.id);
+
+    if (!list) {
+      req.flash('error_msg', 'List not found');
+      return res.redirect('/lists');
+    }
+
+    // Check if user owns the list
+    if (list.userId.toString() !== req.user._id.toString()) {
+      req.flash('error_msg', 'You are not authorized to perform this action');
+      return res.redirect('/lists');
+    }
+
+    // Make the loaded list available to the route handler
+    req.list = list;
+    next();
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error checking list ownership');
+    res.redirect('/lists');
+  }
+};
+
+// Authenticate API requests with a JWT bearer token
+exports.verifyToken = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: { status: 401, message: 'Missing bearer token' }
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, config.jwtSecret);
+    const user = await User.findById(payload.sub);
+
+    if (!user || user.disabled) {
+      return res.status(401).json({
+        error: { status: 401, message: 'Invalid or expired token' }
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    res.status(401).json({
+      error: { status: 401, message: 'Invalid or expired token' }
+    });
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * CSRF protection for session-authenticated forms
+ * A random token is kept in the session (created when a view first uses it),
+ * exposed to views as csrfToken()
+ * (layout.pug has a meta tag and the csrfField mixin) and required on every
+ * POST, PUT, PATCH and DELETE request
+ *
+ * The token is read from:
+ * - the "_csrf" body field (regular forms)
+ * - the "X-CSRF-Token" header (fetch requests in main.js)
+ * - the "_csrf" query parameter, for multipart forms only, because their body
+ *   is not parsed until the route's upload middleware runs
+ *
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The bearer-token API doesn't use the session cookie, so it can't be forged this way
+const EXEMPT_PATHS = [/^\/api\//, /^\/users\/token$/];
+
+/**
+ * Constant-time comparison of the submitted token with the session token
+ */
+function tokensMatch(expected, actual) {
+  if (typeof actual !== 'string') return false;
+
+  // Compare byte lengths: multibyte characters make a same-length string longer
+  const expectedBytes = Buffer.from(expected);
+  const actualBytes = Buffer.from(actual);
+  if (actualBytes.length !== expectedBytes.length) return false;
+  return crypto.timingSafeEqual(expectedBytes, actualBytes);
+}
+
+/**
+ * Path of the referring page when it is on this site (to send the user back to the form)
+ */
+function sameSiteReferrer(req) {
+  try {
+    const url = new URL(req.get('Referrer'));
+    return url.host === req.get('host') ? url.pathname + url.search : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The session's token, created the first time it is needed
+ */
+function sessionToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+/**
+ * Issue the session token and verify it on state-changing requests
+ */
+exports.csrfProtection = (req, res, next) => {
+  // A function, so the token is only stored in the session when a view uses it
+  // and requests that don't render a form (JSON, redirects) don't start a session
+  res.locals.csrfToken = () => sessionToken(req);
+
+  if (SAFE_METHODS.includes(req.method) || EXEMPT_PATHS.some(path => path.test(req.path))) {
+    return next();
+  }
+
+  const submitted = (req.body && req.body._csrf) ||
+    req.get('X-CSRF-Token') ||
+    (req.is('multipart/form-data') ? req.query._csrf : undefined);
+
+  if (req.session.csrfToken && tokensMatch(req.session.csrfToken, submitted)) {
+    return next();
+  }
+
+  // fetch() callers get JSON; forms go back with a message
+  if (req.xhr || req.is('application/json') || !req.accepts('html')) {
+    return res.status(403).json({
+      error: { status: 403, message: 'Invalid or missing CSRF token' }
+    });
+  }
+  req.flash('error_msg', 'Your form has expired. Please try again.');
+  res.redirect(sameSiteReferrer(req) || '/');
+};
@@ -0,0 +1,42 @@
+/**
+ * Login rate limiting middleware
+ * Refuses login attempts while the IP address or account is locked out
+ * (failures are counted by the passport LocalStrategy)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const loginThrottle = require('../services/loginThrottle');
+const sessionConfig = require('../config/session');
+
+/**
+ * Build the login limiter
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - Answer with a JSON error (API token endpoint)
+ *   instead of re-rendering the login form
+ * @returns {Function} - Express middleware
+ */
+exports.loginLimiter = ({ json = false } = {}) => async (req, res, next) => {
+  try {
+    const until = await loginThrottle.lockedUntil(req.ip, req.body.email);
+    if (!until) return next();
+
+    const seconds = Math.ceil((until.getTime() - Date.now()) / 1000);
+    const minutes = Math.ceil(seconds / 60);
+    const message = `Too many failed login attempts. Please try again in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`;
+
+    res.set('Retry-After', String(seconds));
+    res.status(429);
+
+    if (json) {
+      return res.json({ error: { status: 429, message } });
+    }
+    res.render('login', {
+      title: 'Login',
+      rememberMeDays: sessionConfig.rememberMeDays,
+      errors: [{ msg: message }],
+      formData: req.body
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Multipart upload middleware for movie cover images
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const multer = require('multer');
+const sharp = require('sharp');
+
+// Accepted cover image types and maximum size
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_SIZE_MB = parseInt(process.env.MAX_COVER_SIZE_MB || '5', 10);
+
+// Files are kept in memory so they can be checked and resized before storing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Cover image must be a JPEG, PNG, WebP or GIF file'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Parse an optional "coverFile" upload
+ * Upload problems are stored on req.uploadError and reported by movieRules
+ * so the form can be re-rendered with the other validation errors
+ */
+exports.coverUpload = (req, res, next) => {
+  upload.single('coverFile')(req, res, async (err) => {
+    if (err) {
+      req.uploadError = err.code === 'LIMIT_FILE_SIZE'
+        ? `Cover image must be smaller than ${MAX_SIZE_MB} MB`
+        : err.message;
+      req.file = undefined;
+      return next();
+    }
+
+    // The declared MIME type is client supplied, so make sure it really is an image
+    if (req.file) {
+      try {
+        await sharp(req.file.buffer).metadata();
+      } catch (e) {
+        req.uploadError = 'Uploaded cover is not a valid image';
+        req.file = undefined;
+      }
+    }
+
+    next();
+  });
+};
+
+// Import files (CSV or JSON) are small text files kept in memory while parsing
+const IMPORT_MAX_SIZE_MB = 2;
+const importUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|json)$/i.test(file.originalname)) {
+      return cb(new Error('Please choose a .csv or .json file'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Parse an "importFile" upload
+ * Upload problems are stored on req.uploadError like coverUpload
+ */
+exports.importUpload = (req, res, next) => {
+  importUploader.single('importFile')(req, res, (err) => {
+    if (err) {
+      req.uploadError = err.code === 'LIMIT_FILE_SIZE'
+        ? `Import files must be smaller than ${IMPORT_MAX_SIZE_MB} MB`
+        : err.message;
+      req.file = undefined;
+    }
+    next();
+  });
+};
@@ -0,0 +1,226 @@
+/**
+ * Shared validation rules for movie forms, account forms and the JSON API
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const { check, body } = require('express-validator');
+const { watchStatuses } = require('../models/Movie');
+const Genre = require('../models/Genre');
+const { visibilityLevels } = require('../utils/share');
+const { parseTags, MAX_TAGS, MAX_TAG_LENGTH } = require('../utils/text');
+const { bulkActions, MAX_BULK_MOVIES } = require('../services/bulkMovies');
+const { MAX_REVIEW_LENGTH } = require('../models/Review');
+const { MAX_COMMENT_LENGTH } = require('../models/Comment');
+const { reportReasons } = require('../models/Report');
+
+// Validation rules for creating or updating a movie
+// Validates: name, description (10+ chars), year (1900-2025), genres, tags, rating (1-10)
+exports.movieRules = [
+  check('name', 'Movie name is required').not().isEmpty().trim().escape(),
+  check('description', 'Description must be at least 10 characters')
+    .isLength({ min: 10 }).trim().escape(),
+  check('year', 'Please enter a valid year between 1900 and 2025')
+    .isInt({ min: 1900, max: 2025 }),
+  check('genres', 'Please select at least one genre')
+    .custom((value) => {
+      if (!value) return false;
+      if (Array.isArray(value)) return value.length > 0;
+      return typeof value === 'string' && value.trim().length > 0;
+    })
+    .bail()
+    // Genres must exist in the Genre collection
+    .custom(async (value) => {
+      const { unknown } = await Genre.resolve(value);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown genre${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+      }
+      return true;
+    })
+    // Store names as the admin spelled them ("sci-fi" -> "Sci-Fi")
+    .customSanitizer(async (value) => (await Genre.resolve(value)).genres),
+  check('tags')
+    .optional()
+    .custom((value) => {
+      const tags = parseTags(value);
+      if (tags.length > MAX_TAGS) throw new Error(`Use at most ${MAX_TAGS} tags`);
+      if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        throw new Error(`Tags cannot be longer than ${MAX_TAG_LENGTH} characters`);
+      }
+      return true;
+    }),
+  check('rating', 'Please enter a rating between 1 and 10')
+    .isFloat({ min: 1, max: 10 }),
+  check('coverImage')
+    .custom((value) => {
+      if (!value || value.trim() === '') return true;
+
+      try {
+        new URL(value);
+        return true;
+      } catch (e) {
+        throw new Error('Please enter a valid image URL');
+      }
+    }),
+  check('visibility', 'Please choose a valid visibility')
+    .optional()
+    .isIn(visibilityLevels),
+  check('status', 'Please choose a valid status')
+    .optional()
+    .isIn(watchStatuses),
+  // Problems found by the coverUpload middleware (type, size, unreadable image)
+  check('coverFile')
+    .custom((value, { req }) => {
+      if (req.uploadError) throw new Error(req.uploadError);
+      return true;
+    })
+];
+
+// New password and confirmation (registration, password reset, profile)
+exports.passwordRules = [
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
+  check('confirm_password', 'Passwords do not match').custom((value, { req }) => {
+    return value === req.body.password;
+  })
+];
+
+// Validation rules for a viewing log entry
+exports.viewingRules = [
+  check('watchedAt', 'Please enter the date you watched it')
+    .isISO8601({ strict: true })
+    .bail()
+    .custom((value) => {
+      // Allow for time zones ahead of the server
+      if (new Date(value) > new Date(Date.now() + 24 * 60 * 60 * 1000)) {
+        throw new Error('Date watched cannot be in the future');
+      }
+      return true;
+    }),
+  check('location', 'Where must be at most 100 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .escape(),
+  check('companions', 'With whom must be at most 200 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .escape(),
+  check('note', 'Note must be at most 1000 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .escape()
+];
+
+// Validation rules for creating or renaming a list
+exports.listRules = [
+  check('name')
+    .trim()
+    .not().isEmpty().withMessage('List name is required')
+    .isLength({ max: 60 }).withMessage('List name cannot be longer than 60 characters')
+    .escape(),
+  check('description', 'Description cannot be longer than 500 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .escape()
+];
+
+// Validation rules for adding or renaming a genre (admin area)
+// Names are stored as typed, so only plain characters are allowed
+exports.genreRules = [
+  check('name')
+    .trim()
+    .not().isEmpty().withMessage('Genre name is required')
+    .isLength({ max: 40 }).withMessage('Genre name cannot be longer than 40 characters')
+    .matches(/^[\p{L}\p{N}][\p{L}\p{N} &'-]*$/u)
+    .withMessage('Genre names can only contain letters, numbers, spaces, &, \' and -')
+];
+
+// Validation rules for a bulk action on selected movies (POST /movies/bulk)
+// genre, rating and listId are only checked for the actions that use them
+exports.bulkRules = [
+  check('ids')
+    .toArray()
+    .custom((ids) => ids.length > 0).withMessage('Please select at least one movie')
+    .bail()
+    .custom((ids) => ids.length <= MAX_BULK_MOVIES)
+    .withMessage(`Please select at most ${MAX_BULK_MOVIES} movies at a time`),
+  check('ids.*', 'Invalid movie selection').isMongoId(),
+  check('action', 'Please choose an action').isIn(bulkActions),
+  check('genre', 'Please choose a genre')
+    .if(body('action').isIn(['add-genre', 'remove-genre']))
+    .custom(async (value) => (await Genre.resolve(value)).genres.length === 1)
+    .bail()
+    .customSanitizer(async (value) => (await Genre.resolve(value)).genres[0]),
+  check('rating', 'Please enter a rating between 1 and 10')
+    .if(body('action').equals('set-rating'))
+    .isFloat({ min: 1, max: 10 })
+    .toFloat(),
+  check('listId', 'Please choose a list')
+    .if(body('action').equals('add-to-list'))
+    .isMongoId()
+];
+
+// Validation rules for writing or editing a review
+exports.reviewRules = [
+  check('rating', 'Please enter a rating between 1 and 10')
+    .isFloat({ min: 1, max: 10 })
+    .toFloat(),
+  check('body')
+    .trim()
+    .not().isEmpty().withMessage('Please write your review')
+    .isLength({ max: MAX_REVIEW_LENGTH }).withMessage(`Reviews cannot be longer than ${MAX_REVIEW_LENGTH} characters`)
+    .escape(),
+  check('spoiler')
+    .optional()
+    .toBoolean()
+];
+
+// Validation rules for a comment on a review or a reply to a comment
+exports.commentRules = [
+  check('body')
+    .trim()
+    .not().isEmpty().withMessage('Please write a comment')
+    .isLength({ max: MAX_COMMENT_LENGTH }).withMessage(`Comments cannot be longer than ${MAX_COMMENT_LENGTH} characters`)
+    .escape(),
+  check('parentId', 'Invalid reply')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+];
+
+// Validation rules for reporting a review or comment
+exports.reportRules = [
+  check('reason', 'Please choose a reason').isIn(Object.keys(reportReasons)),
+  check('note', 'Notes cannot be longer than 500 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .escape()
+];
+
+/**
+ * Build movie document fields from a validated request body
+ * The cover image is resolved separately by resolveCover in services/coverStorage
+ * @param {Object} body - Request body that passed movieRules
+ * @returns {Object} - Fields for creating or updating a Movie
+ */
+exports.movieFields = (body) => {
+  const { name, description, year, genres, tags, rating, visibility, status } = body;
+
+  const fields = {
+    name,
+    description,
+    year: parseInt(year),
+    // Already matched to stored genre names by movieRules
+    genres: Array.isArray(genres) ? genres : [genres],
+    rating: parseFloat(rating)
+  };
+
+  // Visibility, status and tags are optional so updates without them keep the current setting
+  if (visibility) fields.visibility = visibility;
+  if (status) fields.status = status;
+  if (tags !== undefined) fields.tags = parseTags(tags);
+
+  return fields;
+};
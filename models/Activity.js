@@ -0,0 +1,58 @@
+/**
+ * Activity model: something a user did with one of their movies, shown in their
+ * followers' feeds on the home page
+ * Movie events are written by the activity plugin (see utils/activity.js)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+
+// What happened to the movie
+// movie-added - added to the collection, movie-rated - rating changed,
+// movie-watched - marked as watched, list-added - put on one of the user's lists
+const activityTypes = ['movie-added', 'movie-rated', 'movie-watched', 'list-added'];
+
+const activitySchema = new mongoose.Schema({
+  // User who did it (the movie's owner)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: activityTypes,
+    required: true
+  },
+  // The movie is looked up when the feed is read, so activity on movies that
+  // are private, unlisted or trashed at that point is never shown
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  // List the movie was added to (list-added only)
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  // Values at the time, e.g. { rating } or { listName }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Feeds: the activity of followed users, newest first
+activitySchema.index({ actorId: 1, createdAt: -1 });
+
+// Removing a movie's or list's activity when it is deleted
+activitySchema.index({ movieId: 1 });
+activitySchema.index({ listId: 1 });
+
+// Create and export Activity model
+module.exports = mongoose.model('Activity', activitySchema);
+module.exports.activityTypes = activityTypes;
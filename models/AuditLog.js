@@ -0,0 +1,83 @@
+/**
+ * Audit log of security-relevant account events
+ * Logins, failed logins, password, 2FA and login provider changes, and admin actions on accounts;
+ * admins browse it at /admin/audit. Entries expire after auditRetentionDays.
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/auth');
+
+// Recorded events with the label shown to admins
+const auditEvents = {
+  'login': 'Logged in',
+  'login-failed': 'Failed login',
+  'logout': 'Logged out',
+  'password-changed': 'Password changed',
+  'password-reset': 'Password reset by email',
+  'two-factor-enabled': '2FA turned on',
+  'two-factor-disabled': '2FA turned off',
+  'recovery-codes-created': 'New recovery codes',
+  'provider-linked': 'Login provider connected',
+  'provider-unlinked': 'Login provider disconnected',
+  'account-created': 'Account created',
+  'role-changed': 'Role changed',
+  'account-disabled': 'Account disabled',
+  'account-enabled': 'Account enabled',
+  'account-deleted': 'Account deleted',
+  'movie-removed': 'Movie removed by admin',
+  'review-removed': 'Review removed by admin',
+  'comment-removed': 'Comment removed by admin',
+  'report-dismissed': 'Report dismissed'
+};
+
+const auditLogSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: Object.keys(auditEvents),
+    required: true
+  },
+  // Account the event is about (null for failed logins to unknown emails)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept as well so entries still make sense after the account is deleted
+  email: {
+    type: String,
+    default: ''
+  },
+  // Admin who acted on someone else's account (null when users act themselves)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Event specific information, e.g. { reason: 'password' } for failed logins
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Newest first, and MongoDB removes entries older than the retention period
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.auditRetentionDays * 24 * 60 * 60 });
+
+// Filtering by account or event in the admin view
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+
+// Create and export AuditLog model
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.auditEvents = auditEvents;
@@ -0,0 +1,48 @@
+/**
+ * Comment model for discussion threads on reviews
+ * A comment answers a review directly or replies to another comment (parentId)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+
+// Longest comment text (checked before HTML escaping by commentRules)
+const MAX_COMMENT_LENGTH = 2000;
+
+const commentSchema = new mongoose.Schema({
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  // Comment this one replies to; null for comments on the review itself
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  body: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Deleted comments with replies stay as a placeholder so the thread still reads
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+commentSchema.index({ reviewId: 1, createdAt: 1 });
+commentSchema.index({ userId: 1 });
+
+// Create and export Comment model
+module.exports = mongoose.model('Comment', commentSchema);
+module.exports.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
@@ -0,0 +1,32 @@
+/**
+ * Follow model: one user following another to see their activity on the home page
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  // User doing the following
+  followerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User being followed
+  followingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A user follows someone once; also lists who a user follows
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+
+// A user's followers, newest first
+followSchema.index({ followingId: 1, createdAt: -1 });
+
+// Create and export Follow model
+module.exports = mongoose.model('Follow', followSchema);
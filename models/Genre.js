@@ -0,0 +1,88 @@
+/**
+ * Genre model for the genres movies can be filed under
+ * Admins add, rename and remove genres in /admin/genres
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+
+// Genres every new installation starts with
+const defaultGenres = [
+  'Action', 'Comedy', 'Drama', 'Horror',
+  'Sci-Fi', 'Romance', 'Thriller', 'Fantasy'
+];
+
+// Genres are matched without regard to case or surrounding spaces
+const genreKey = (name) => String(name || '').trim().toLowerCase();
+
+const genreSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Genre name is required'],
+    trim: true,
+    maxlength: [40, 'Genre name cannot be longer than 40 characters']
+  },
+  // Lowercase name, unique so "sci-fi" and "Sci-Fi" can't both exist
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+genreSchema.pre('validate', function() {
+  this.key = genreKey(this.name);
+});
+
+/**
+ * Create the default genres if there are none yet (new installations)
+ * Existing installations keep their genres (see bin/migrate-genres)
+ */
+genreSchema.statics.ensureDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return;
+
+  await Promise.all(defaultGenres.map(name =>
+    this.updateOne({ key: genreKey(name) }, { $setOnInsert: { name } }, { upsert: true })
+  ));
+};
+
+/**
+ * Names of all genres in alphabetical order
+ * @returns {Promise<string[]>} - Genre names
+ */
+genreSchema.statics.names = async function() {
+  await this.ensureDefaults();
+  const genres = await this.find().sort({ key: 1 }).select('name');
+  return genres.map(genre => genre.name);
+};
+
+/**
+ * Match genre names typed or submitted by a user to the stored genres
+ * @param {string|string[]} names - Genre names in any case
+ * @returns {Promise<Object>} - { genres: stored names, unknown: names with no match }
+ */
+genreSchema.statics.resolve = async function(names) {
+  const wanted = (Array.isArray(names) ? names : [names])
+    .map(name => String(name == null ? '' : name).trim())
+    .filter(Boolean);
+
+  const known = await this.find({ key: { $in: wanted.map(genreKey) } }).select('name key');
+  const byKey = new Map(known.map(genre => [genre.key, genre.name]));
+
+  const genres = [];
+  const unknown = [];
+  wanted.forEach(name => {
+    const genre = byKey.get(genreKey(name));
+    if (!genre) unknown.push(name);
+    else if (!genres.includes(genre)) genres.push(genre);
+  });
+
+  return { genres, unknown };
+};
+
+// Create and export Genre model
+module.exports = mongoose.model('Genre', genreSchema);
+module.exports.defaultGenres = defaultGenres;
+module.exports.genreKey = genreKey;
@@ -0,0 +1,77 @@
+/**
+ * List model for user-defined movie lists (watchlist, favourites, custom lists)
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const mongoose = require('mongoose');
+
+// Lists every user gets automatically (kind -> name)
+const builtInLists = {
+  watchlist: 'Watchlist',
+  favourites: 'Favourites'
+};
+
+const listSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [60, 'List name cannot be longer than 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be longer than 500 characters'],
+    default: ''
+  },
+  // Built-in lists cannot be renamed or deleted
+  kind: {
+    type: String,
+    enum: ['watchlist', 'favourites', 'custom'],
+    default: 'custom'
+  },
+  // Movies in display order
+  movies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie'
+  }],
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Compound index for efficient user-specific queries
+listSchema.index({ userId: 1, createdAt: 1 });
+
+// One of each built-in list per user
+listSchema.index(
+  { userId: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { kind: { $in: Object.keys(builtInLists) } } }
+);
+
+// True for the automatically created lists
+listSchema.virtual('isBuiltIn').get(function() {
+  return this.kind !== 'custom';
+});
+
+/**
+ * Create any missing built-in lists for a user
+ * Safe to call repeatedly (e.g. for users registered before lists existed)
+ * @param {ObjectId} userId - Owner of the lists
+ */
+listSchema.statics.ensureBuiltIns = async function(userId) {
+  await Promise.all(Object.entries(builtInLists).map(([kind, name]) =>
+    this.updateOne(
+      { userId, kind },
+      { $setOnInsert: { name, description: '', movies: [] } },
+      { upsert: true }
+    )
+  ));
+};
+
+// Create and export List model
+module.exports = mongoose.model('List', listSchema);
@@ -0,0 +1,36 @@
+/**
+ * Failed login counters used for throttling and temporary lockout
+ * One document per IP address or account email; documents expire through a TTL index
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // "ip:<address>" or "email:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Set once the limit is reached; attempts are refused until then
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // End of the counting window (or of the lockout)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes counters once expiresAt has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export LoginAttempt model
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
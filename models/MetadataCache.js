@@ -0,0 +1,30 @@
+/**
+ * Cache of movie metadata provider responses
+ * Entries expire automatically through a TTL index
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+
+const metadataCacheSchema = new mongoose.Schema({
+  // Provider name plus request, e.g. "tmdb:search:alien"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes entries once expiresAt has passed
+metadataCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export MetadataCache model
+module.exports = mongoose.model('MetadataCache', metadataCacheSchema);
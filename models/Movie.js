@@ -4,12 +4,55 @@
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_COVER_IMAGE, coverUrl } = require('../services/coverStorage');
+const { escapeRegex } = require('../utils/text');
+const { visibilityLevels, shareTokenPlugin } = require('../utils/share');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { historyPlugin } = require('../utils/history');
+const { activityPlugin } = require('../utils/activity');
+const Genre = require('./Genre');
+const Revision = require('./Revision');
+const Activity = require('./Activity');
+const { MAX_TAGS, MAX_TAG_LENGTH } = require('../utils/text');
 
-// Available genres for movies
-const availableGenres = [
-  'Action', 'Comedy', 'Drama', 'Horror', 
-  'Sci-Fi', 'Romance', 'Thriller', 'Fantasy'
-];
+// Fields the movie list can be sorted by
+const sortFields = ['name', 'year', 'rating', 'createdAt'];
+
+// Page size limits for movie lists
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
+
+// Page sizes offered in the display preferences
+const pageSizes = [12, 24, 48, 96];
+
+// Where the user is with a movie
+const watchStatuses = ['unwatched', 'in-progress', 'watched'];
+
+// One entry in a movie's viewing log
+const viewingSchema = new mongoose.Schema({
+  watchedAt: {
+    type: Date,
+    required: [true, 'Date watched is required']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Where must be at most 100 characters'],
+    default: ''
+  },
+  companions: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'With whom must be at most 200 characters'],
+    default: ''
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note must be at most 1000 characters'],
+    default: ''
+  }
+});
 
 const movieSchema = new mongoose.Schema({
   name: {
@@ -33,13 +76,26 @@ const movieSchema = new mongoose.Schema({
     type: [String],
     required: [true, 'At least one genre is required'],
     validate: {
-      validator: function(genres) {
-        return genres.length > 0 && 
-               genres.every(genre => availableGenres.includes(genre));
+      // Genres are managed by admins in the Genre collection
+      validator: async function(genres) {
+        if (genres.length === 0) return false;
+        const { unknown } = await Genre.resolve(genres);
+        return unknown.length === 0;
       },
       message: 'Please select valid genres from the available options'
     }
   },
+  // Free-form personal tags (lowercase, see parseTags in utils/text.js)
+  tags: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(tags) {
+        return tags.length <= MAX_TAGS && tags.every(tag => tag.length <= MAX_TAG_LENGTH);
+      },
+      message: `Use at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters each`
+    }
+  },
   rating: {
     type: Number,
     required: [true, 'Rating is required'],
@@ -48,19 +104,335 @@ const movieSchema = new mongoose.Schema({
   },
   coverImage: {
     type: String,
-    default: '/images/default-movie.jpg'
+    default: DEFAULT_COVER_IMAGE
+  },
+  // Key of an uploaded cover stored under /uploads (null for URL covers)
+  coverUpload: {
+    type: String,
+    default: null
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
-  }
+  },
+  // Who can see this movie (private, unlisted link, public)
+  visibility: {
+    type: String,
+    enum: {
+      values: visibilityLevels,
+      message: 'Please choose a valid visibility'
+    },
+    default: 'private'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: watchStatuses,
+      message: 'Please choose a valid status'
+    },
+    default: 'unwatched'
+  },
+  // Viewing log (personal, only shown to the owner)
+  viewings: {
+    type: [viewingSchema],
+    default: []
+  },
+  // Lists the movie was taken out of when it was trashed (put back on restore)
+  trashedFromLists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List'
+  }]
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
 });
 
+// Smaller cover for movie cards (uploaded covers have a generated thumbnail)
+movieSchema.virtual('coverThumbnail').get(function() {
+  return this.coverUpload ? coverUrl(this.coverUpload, 'card') : this.coverImage;
+});
+
+// True when the cover is an external URL entered by the user
+movieSchema.virtual('hasRemoteCover').get(function() {
+  return /^https?:\/\//i.test(this.coverImage || '');
+});
+
+// Viewing log newest first (for the timeline)
+movieSchema.virtual('timeline').get(function() {
+  return [...this.viewings].sort((a, b) => b.watchedAt - a.watchedAt);
+});
+
+// Times watched after the first
+movieSchema.virtual('rewatchCount').get(function() {
+  return Math.max(this.viewings.length - 1, 0);
+});
+
 // Compound index for efficient user-specific queries
-movieSchema.index({ userId: 1, createdAt: -1 });
+movieSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+
+// Indexes backing the other list sort options (_id breaks ties for stable paging)
+movieSchema.index({ userId: 1, name: 1, _id: 1 });
+movieSchema.index({ userId: 1, year: 1, _id: 1 });
+movieSchema.index({ userId: 1, rating: 1, _id: 1 });
+
+// Share links (shareToken field and index)
+movieSchema.plugin(shareTokenPlugin);
+
+// Trash (deletedAt field; trashed movies are left out of normal queries)
+movieSchema.plugin(softDeletePlugin);
+
+// The user's trash, most recently deleted first
+movieSchema.index({ userId: 1, deletedAt: -1 });
+
+// Edit history shown on the details page (covers and watch status aren't reverted:
+// an old uploaded cover may be gone and the status follows the viewing log)
+movieSchema.plugin(historyPlugin, {
+  Revision: Revision,
+  fields: ['name', 'description', 'year', 'genres', 'tags', 'rating', 'visibility', 'status', 'coverImage'],
+  revertable: ['name', 'description', 'year', 'genres', 'tags', 'rating', 'visibility'],
+  actor: movie => movie.userId
+});
+
+// Followers' feeds: new movies, new ratings and movies marked as watched
+movieSchema.plugin(activityPlugin, {
+  Activity: Activity,
+  actor: movie => movie.userId
+});
+
+// Public profile and shared collection listings
+movieSchema.index({ userId: 1, visibility: 1, createdAt: -1 });
+
+// Filtering the movie list by watch status
+movieSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+// Filtering by tag and the tag autocomplete
+movieSchema.index({ userId: 1, tags: 1 });
+
+// Full-text search over name and description (name matches rank higher)
+movieSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'movie_text_search', weights: { name: 5, description: 1 } }
+);
+
+/**
+ * Build a query filter for a user's movies from search criteria
+ * Shared by the filter page and the JSON API
+ * @param {ObjectId} userId - Owner of the movies
+ * @param {Object} criteria - q, name, genre, tag, status, minYear, maxYear, minRating, maxRating
+ * @returns {Object} - Mongoose query filter
+ */
+movieSchema.statics.buildFilter = function(userId, criteria = {}) {
+  const { q, name, genre, tag, status, minYear, maxYear, minRating, maxRating } = criteria;
+  const filter = { userId };
+
+  // Full-text search across name and description (uses the text index)
+  if (q && String(q).trim()) {
+    filter.$text = { $search: String(q).trim() };
+  }
+
+  // Case-insensitive name search, matching the input literally
+  if (name) {
+    filter.name = { $regex: escapeRegex(name), $options: 'i' };
+  }
+
+  // Filter by genre (if not "all")
+  if (genre && genre !== 'all') {
+    filter.genres = genre;
+  }
+
+  // Filter by one of the user's tags (stored lowercase)
+  if (tag && String(tag).trim()) {
+    filter.tags = String(tag).trim().toLowerCase();
+  }
+
+  // Filter by watch status (if not "all")
+  if (watchStatuses.includes(status)) {
+    filter.status = status;
+  }
+
+  // Filter by year range (ignoring values that are not numbers)
+  const fromYear = parseInt(minYear);
+  const toYear = parseInt(maxYear);
+  if (!isNaN(fromYear) || !isNaN(toYear)) {
+    filter.year = {};
+    if (!isNaN(fromYear)) filter.year.$gte = fromYear;
+    if (!isNaN(toYear)) filter.year.$lte = toYear;
+  }
+
+  // Filter by rating range
+  const fromRating = parseFloat(minRating);
+  const toRating = parseFloat(maxRating);
+  if (!isNaN(fromRating) || !isNaN(toRating)) {
+    filter.rating = {};
+    if (!isNaN(fromRating)) filter.rating.$gte = fromRating;
+    if (!isNaN(toRating)) filter.rating.$lte = toRating;
+  }
+
+  return filter;
+};
+
+/**
+ * Read sort and pagination options from a query string
+ * Unknown or out-of-range values fall back to defaults
+ * Text searches (q) sort by relevance unless another sort is chosen
+ * @param {Object} query - q, sort, dir ('asc' | 'desc'), page, limit
+ * @param {Object} [defaults] - User display preferences: sort, dir, perPage
+ * @returns {Object} - { sort, dir, page, limit }
+ */
+movieSchema.statics.parseListOptions = function(query = {}, defaults = {}) {
+  const searching = Boolean(query.q && String(query.q).trim());
+  const defaultSort = sortFields.includes(defaults.sort) ? defaults.sort : 'createdAt';
+
+  let sort = searching ? 'relevance' : defaultSort;
+  if (sortFields.includes(query.sort) || (searching && query.sort === 'relevance')) {
+    sort = query.sort;
+  }
+
+  // Names read A-Z by default, everything else newest/highest first,
+  // unless the user prefers another direction for their default sort
+  let dir = sort === 'name' ? 'asc' : 'desc';
+  if (sort === defaultSort && (defaults.dir === 'asc' || defaults.dir === 'desc')) dir = defaults.dir;
+  if (query.dir === 'asc' || query.dir === 'desc') dir = query.dir;
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const defaultLimit = parseInt(defaults.perPage) || DEFAULT_PAGE_SIZE;
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+
+  return { sort, dir, page, limit };
+};
+
+/**
+ * Fetch one page of movies matching a filter
+ * @param {Object} filter - Query filter (e.g. from buildFilter)
+ * @param {Object} options - Result of parseListOptions
+ * @returns {Promise<Object>} - { movies, pagination }
+ */
+movieSchema.statics.findPage = async function(filter, options) {
+  const { sort, dir, page, limit } = options;
+  const order = dir === 'asc' ? 1 : -1;
+
+  // _id breaks ties (e.g. movies imported in the same millisecond) for stable paging
+  let sortSpec = { [sort]: order, _id: order };
+
+  // Best text search matches first
+  let projection = null;
+  if (sort === 'relevance') {
+    projection = { score: { $meta: 'textScore' } };
+    sortSpec = { score: { $meta: 'textScore' }, _id: -1 };
+  }
+
+  const [movies, total] = await Promise.all([
+    this.find(filter, projection).sort(sortSpec).skip((page - 1) * limit).limit(limit),
+    this.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+  return {
+    movies,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+      sort,
+      dir
+    }
+  };
+};
+
+// Months of "movies added" history shown on the stats page
+const STATS_MONTHS = 12;
+
+// Number of titles in the stats page's top-rated list
+const TOP_RATED_COUNT = 5;
+
+// Round an average to one decimal place
+const roundAverage = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Collection statistics for the stats page and the API
+ * Runs one aggregation with a facet per chart, then fills in empty
+ * rating buckets and months so every chart has a fixed set of bars
+ * @param {ObjectId} userId - Owner of the movies
+ * @returns {Promise<Object>} - { totals, genres, decades, ratings, monthly, topRated }
+ */
+movieSchema.statics.collectionStats = async function(userId) {
+  const now = new Date();
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (STATS_MONTHS - 1), 1));
+
+  const [facets] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, count: { $sum: 1 }, avgRating: { $avg: '$rating' } } }
+        ],
+        genres: [
+          { $unwind: '$genres' },
+          { $group: { _id: '$genres', count: { $sum: 1 }, avgRating: { $avg: '$rating' } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        decades: [
+          { $group: { _id: { $subtract: ['$year', { $mod: ['$year', 10] }] }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        // Whole-number buckets (7.5 counts as 7, 10 has its own bucket)
+        ratings: [
+          { $group: { _id: { $floor: '$rating' }, count: { $sum: 1 } } }
+        ],
+        monthly: [
+          { $match: { createdAt: { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone: 'UTC' } },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        topRated: [
+          { $sort: { rating: -1, year: -1, _id: 1 } },
+          { $limit: TOP_RATED_COUNT },
+          { $project: { name: 1, year: 1, rating: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = facets.totals[0] || { count: 0, avgRating: null };
+  const ratingCounts = new Map(facets.ratings.map(bucket => [bucket._id, bucket.count]));
+  const monthCounts = new Map(facets.monthly.map(month => [month._id, month.count]));
+
+  const months = Array.from({ length: STATS_MONTHS }, (_, i) =>
+    new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + i, 1)).toISOString().slice(0, 7));
+
+  return {
+    totals: {
+      movies: totals.count,
+      averageRating: totals.avgRating === null ? null : roundAverage(totals.avgRating)
+    },
+    genres: facets.genres.map(genre => ({
+      genre: genre._id,
+      count: genre.count,
+      averageRating: roundAverage(genre.avgRating)
+    })),
+    decades: facets.decades.map(decade => ({ decade: decade._id, count: decade.count })),
+    ratings: Array.from({ length: 10 }, (_, i) => ({ rating: i + 1, count: ratingCounts.get(i + 1) || 0 })),
+    monthly: months.map(month => ({ month, count: monthCounts.get(month) || 0 })),
+    topRated: facets.topRated.map(movie => ({
+      id: movie._id,
+      name: movie.name,
+      year: movie.year,
+      rating: movie.rating
+    }))
+  };
+};
 
 // Create and export Movie model
-module.exports = mongoose.model('Movie', movieSchema);
\ No newline at end of file
+module.exports = mongoose.model('Movie', movieSchema);
+module.exports.sortFields = sortFields;
+module.exports.pageSizes = pageSizes;
+module.exports.watchStatuses = watchStatuses;
+module.exports.DEFAULT_COVER_IMAGE = DEFAULT_COVER_IMAGE;
\ No newline at end of file
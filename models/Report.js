@@ -0,0 +1,83 @@
+/**
+ * Report model for reviews and comments flagged for moderation
+ * Admins work through open reports in /admin/reports
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const mongoose = require('mongoose');
+
+// Reasons a user can pick, with the label shown on the forms and to admins
+const reportReasons = {
+  'spam': 'Spam or advertising',
+  'abuse': 'Harassment or hateful content',
+  'spoiler': 'Unmarked spoilers',
+  'off-topic': 'Off-topic',
+  'other': 'Something else'
+};
+
+// What can be reported
+const reportTargets = ['review', 'comment'];
+
+// open - waiting for an admin, dismissed - the content was kept
+// (reports are deleted together with the content they are about)
+const reportStatuses = ['open', 'dismissed'];
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: reportTargets,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Movie the content is on, for linking to it
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.keys(reportReasons),
+    required: [true, 'Please choose a reason']
+  },
+  note: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: reportStatuses,
+    default: 'open'
+  },
+  // Admin who dismissed the report
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// A user reports the same content once
+reportSchema.index({ targetId: 1, reporterId: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// Create and export Report model
+module.exports = mongoose.model('Report', reportSchema);
+module.exports.reportReasons = reportReasons;
+module.exports.reportTargets = reportTargets;
+module.exports.reportStatuses = reportStatuses;
@@ -0,0 +1,63 @@
+/**
+ * Review model for community reviews of movies
+ * Other users who can see a movie write one review each, with their own rating;
+ * the movie details page shows them with their comment threads
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+
+// Longest review text (checked before HTML escaping by reviewRules)
+const MAX_REVIEW_LENGTH = 5000;
+
+const reviewSchema = new mongoose.Schema({
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Please write your review'],
+    trim: true
+  },
+  // The reviewer's own rating, separate from the owner's
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [10, 'Rating cannot be more than 10']
+  },
+  // Hidden behind a "show" toggle until the reader opens it
+  spoiler: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// One review per user per movie
+reviewSchema.index({ movieId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ userId: 1 });
+
+/**
+ * Number of reviews and average rating for a set of reviews
+ * @param {Object[]} reviews - Review documents
+ * @returns {Object} - { count, average } (average is null without reviews)
+ */
+reviewSchema.statics.summarize = function(reviews) {
+  if (reviews.length === 0) return { count: 0, average: null };
+
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  return { count: reviews.length, average: Math.round(total / reviews.length * 10) / 10 };
+};
+
+// Create and export Review model
+module.exports = mongoose.model('Review', reviewSchema);
+module.exports.MAX_REVIEW_LENGTH = MAX_REVIEW_LENGTH;
@@ -0,0 +1,60 @@
+/**
+ * Revision model: one saved version of a document with what changed and who changed it
+ * Written by the history plugin (see utils/history.js)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+
+// What happened to the document in this version
+const revisionActions = ['create', 'update', 'delete', 'restore', 'revert'];
+
+const revisionSchema = new mongoose.Schema({
+  // Model name of the versioned document, e.g. 'Movie'
+  kind: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: revisionActions,
+    required: true
+  },
+  // User who made the change
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Tracked fields that changed (empty when the document was created)
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Tracked fields as they were after this change (what a revert goes back to)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // For reverts, the version that was brought back
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Revision',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A document's history, newest first
+revisionSchema.index({ kind: 1, documentId: 1, createdAt: -1 });
+
+// Create and export Revision model
+module.exports = mongoose.model('Revision', revisionSchema);
+module.exports.revisionActions = revisionActions;
@@ -0,0 +1,31 @@
+/**
+ * Session model for the MongoDB session store (see services/sessionStore.js)
+ * One document per browser session; MongoDB removes it once it expires
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // Session id from the cookie
+  _id: {
+    type: String
+  },
+  // Session data as JSON
+  session: {
+    type: String,
+    required: true
+  },
+  expires: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// MongoDB removes sessions once expires has passed
+sessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export Session model
+module.exports = mongoose.model('Session', sessionSchema);
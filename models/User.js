@@ -4,6 +4,65 @@
  */
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { visibilityLevels, shareTokenPlugin } = require('../utils/share');
+const totp = require('../utils/totp');
+const { sortFields, pageSizes } = require('./Movie');
+
+// Account roles; admins can manage users and content in /admin
+const roles = ['user', 'admin'];
+
+// Emailed single-use tokens (only a hash is stored) and the field holding each
+const tokenFields = { reset: 'resetToken', verify: 'verifyToken' };
+
+const tokenSchema = new mongoose.Schema({
+  hash: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Number of one-time recovery codes issued when 2FA is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Optional TOTP two-factor authentication
+const twoFactorSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  // Base32 secret shared with the authenticator app
+  secret: { type: String, default: null },
+  // Last time step used, so a code can't be replayed
+  lastUsedStep: { type: Number, default: -1 },
+  // Hashes of the unused recovery codes
+  recoveryCodes: { type: [String], default: [] }
+}, { _id: false });
+
+// Display preferences for the movie lists
+const preferencesSchema = new mongoose.Schema({
+  sort: { type: String, enum: sortFields, default: 'createdAt' },
+  // null uses the natural direction for the sort field
+  dir: { type: String, enum: ['asc', 'desc', null], default: null },
+  perPage: { type: Number, enum: pageSizes, default: pageSizes[0] }
+}, { _id: false });
+
+// Follows and the activity feed (only public movies ever appear in feeds)
+const privacySchema = new mongoose.Schema({
+  // Whether other users can start following this user
+  allowFollowers: { type: Boolean, default: true },
+  // Whether followers see this user's activity on their home page
+  shareActivity: { type: Boolean, default: true }
+}, { _id: false });
+
+// An account at an OAuth / OpenID Connect provider linked to this user
+const identitySchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  // The provider's id for the account, which (unlike the email) never changes
+  subject: { type: String, required: true },
+  email: { type: String, default: '' },
+  linkedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,14 +77,243 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // bcrypt hash; null for accounts created through a login provider until a password is set
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    default: null,
     minlength: [6, 'Password must be at least 6 characters long']
+  },
+  // Accounts at login providers (see config/oauth.js) that can log in as this user
+  identities: {
+    type: [identitySchema],
+    default: []
+  },
+  // Who can see the collection page (private, unlisted link, public profile)
+  collectionVisibility: {
+    type: String,
+    enum: visibilityLevels,
+    default: 'private'
+  },
+  role: {
+    type: String,
+    enum: roles,
+    default: 'user'
+  },
+  // Disabled accounts cannot log in or use the API
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  // New accounts start unverified (set on registration); accounts created
+  // before email verification existed count as verified
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  resetToken: tokenSchema,
+  verifyToken: tokenSchema,
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  },
+  preferences: {
+    type: preferencesSchema,
+    default: () => ({})
+  },
+  privacy: {
+    type: privacySchema,
+    default: () => ({})
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
 });
 
+// Collection share link (shareToken field and index)
+userSchema.plugin(shareTokenPlugin);
+
+userSchema.index({ 'resetToken.hash': 1 }, { sparse: true });
+userSchema.index({ 'verifyToken.hash': 1 }, { sparse: true });
+// A provider account can only be linked to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Accounts created through a login provider have no password until one is set
+userSchema.virtual('hasPassword').get(function() {
+  return Boolean(this.password);
+});
+
+/**
+ * Find the user a provider account is linked to
+ * @param {string} provider - Provider id
+ * @param {string} subject - The provider's id for the account
+ * @returns {Promise<Object|null>} - User or null
+ */
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject: String(subject) } } });
+};
+
+/**
+ * The linked account at a provider, if any
+ * @param {string} provider - Provider id
+ * @returns {Object|null} - Identity subdocument or null
+ */
+userSchema.methods.identityFor = function(provider) {
+  return this.identities.find(identity => identity.provider === provider) || null;
+};
+
+/**
+ * Link a provider account, replacing any earlier one at the same provider
+ * The caller saves the user
+ * @param {string} provider - Provider id
+ * @param {Object} profile - { subject, email } from the provider
+ */
+userSchema.methods.linkIdentity = function(provider, profile) {
+  this.identities = this.identities
+    .filter(identity => identity.provider !== provider)
+    .concat({ provider, subject: String(profile.subject), email: profile.email || '' });
+};
+
+/**
+ * Whether the user could still log in after unlinking a provider
+ * (they need a password or another linked provider)
+ * @param {string} provider - Provider id
+ * @returns {boolean}
+ */
+userSchema.methods.canUnlink = function(provider) {
+  return this.hasPassword || this.identities.some(identity => identity.provider !== provider);
+};
+
+/**
+ * Create a new emailed token, replacing any earlier one for the same purpose
+ * The caller saves the user; only the hash is stored
+ * @param {string} purpose - 'reset' or 'verify'
+ * @param {number} ttlMs - How long the token is valid
+ * @returns {string} - Token to put in the emailed link
+ */
+userSchema.methods.createToken = function(purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[tokenFields[purpose]] = {
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  };
+  return token;
+};
+
+// Query matching an unexpired token
+function tokenQuery(purpose, token) {
+  const field = tokenFields[purpose];
+  return {
+    [`${field}.hash`]: hashToken(token),
+    [`${field}.expiresAt`]: { $gt: new Date() }
+  };
+}
+
+/**
+ * Find the user an unexpired token belongs to, without using it up
+ * @param {string} purpose - 'reset' or 'verify'
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} - User or null
+ */
+userSchema.statics.findByToken = function(purpose, token) {
+  if (!/^[a-f0-9]{64}$/.test(token || '')) return Promise.resolve(null);
+  return this.findOne(tokenQuery(purpose, token));
+};
+
+/**
+ * Use up a token: it is removed in the same update that finds it,
+ * so two requests with the same link cannot both succeed
+ * @param {string} purpose - 'reset' or 'verify'
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} - User (without the token) or null
+ */
+userSchema.statics.consumeToken = function(purpose, token) {
+  if (!/^[a-f0-9]{64}$/.test(token || '')) return Promise.resolve(null);
+  return this.findOneAndUpdate(
+    tokenQuery(purpose, token),
+    { $unset: { [tokenFields[purpose]]: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Replace the recovery codes with a new set
+ * The caller saves the user; only hashes are stored
+ * @returns {string[]} - Codes to show the user once
+ */
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+/**
+ * Turn on two-factor authentication with a confirmed secret
+ * The caller saves the user
+ * @param {string} secret - Base32 secret the user has added to their authenticator
+ * @returns {string[]} - New recovery codes
+ */
+userSchema.methods.enableTwoFactor = function(secret) {
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = secret;
+  this.twoFactor.lastUsedStep = -1;
+  return this.generateRecoveryCodes();
+};
+
+/**
+ * Turn off two-factor authentication and forget the secret and codes
+ * The caller saves the user
+ */
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = {};
+};
+
+/**
+ * Check a second-step code: an authenticator code or an unused recovery code
+ * Codes are used up atomically so the same code can't log in twice
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<string|null>} - 'totp', 'recovery', or null if not accepted
+ */
+userSchema.methods.useTwoFactorCode = async function(code) {
+  if (!this.twoFactor.enabled) return null;
+  const User = this.constructor;
+
+  const step = totp.verify(this.twoFactor.secret, code, this.twoFactor.lastUsedStep);
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount === 1) {
+      this.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+    return null;
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  if (!this.twoFactor.recoveryCodes.includes(hash)) return null;
+
+  const result = await User.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  if (result.modifiedCount === 1) {
+    this.twoFactor.recoveryCodes.pull(hash);
+    return 'recovery';
+  }
+  return null;
+};
+
+// Check whether the user has one of the given roles
+userSchema.methods.hasRole = function(...allowed) {
+  return allowed.includes(this.role);
+};
+
 // Create and export User model
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema);
+module.exports.roles = roles;
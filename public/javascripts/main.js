@@ -12,7 +12,9 @@ document.addEventListener('DOMContentLoaded', function() {
   const flashMessages = document.querySelectorAll('.alert');
   
   // Auto-hide each message after 5 seconds with fade out animation
+  // (messages with an Undo button stay so there is time to use it)
   flashMessages.forEach(message => {
+    if (message.querySelector('.undo-form')) return;
     setTimeout(() => {
       message.style.transition = 'opacity 0.5s ease';
       message.style.opacity = '0';
@@ -28,6 +30,9 @@ document.addEventListener('DOMContentLoaded', function() {
   const forms = document.querySelectorAll('form');
   forms.forEach(form => {
     form.addEventListener('submit', function(e) {
+      // Buttons marked formnovalidate (e.g. login providers) skip the check
+      if (e.submitter && e.submitter.formNoValidate) return;
+
       const requiredFields = form.querySelectorAll('[required]');
       let isValid = true;
       
@@ -49,6 +54,23 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
 
+  // Sort selects - Reload the list as soon as the sort order changes
+  const autoSubmitSelects = document.querySelectorAll('select.auto-submit');
+  autoSubmitSelects.forEach(select => {
+    // The form has no page field, so the new order starts from page 1
+    select.addEventListener('change', function() {
+      this.form.submit();
+    });
+  });
+
+  // Share links - Select the whole link when clicked so it is easy to copy
+  const shareLinks = document.querySelectorAll('input.share-link');
+  shareLinks.forEach(input => {
+    input.addEventListener('focus', function() {
+      this.select();
+    });
+  });
+
   // Rating input enhancement - Restrict values between 1 and 10
   const ratingInputs = document.querySelectorAll('input[name="rating"]');
   ratingInputs.forEach(input => {
@@ -101,7 +123,7 @@ document.addEventListener('DOMContentLoaded', function() {
  * @returns {boolean} - True if user confirms, false otherwise
  */
 function confirmDelete(movieName) {
-  return confirm(`Are you sure you want to delete "${movieName}"? This action cannot be undone.`);
+  return confirm(`Move "${movieName}" to the trash? You can restore it from the trash later.`);
 }
 
 // Filter form enhancement - Year and rating range validation
@@ -165,4 +187,485 @@ document.addEventListener('DOMContentLoaded', function() {
       if (maxValue > 10) this.value = 10;
     });
   }
-});
\ No newline at end of file
+});
+// List reordering - Drag and drop movies within a list, then save the new order
+document.addEventListener('DOMContentLoaded', function() {
+  const sortableList = document.querySelector('.sortable-list');
+  if (!sortableList) return;
+
+  let draggedItem = null;
+  let originalOrder = [];
+
+  // Current order of movie ids in the list
+  const currentOrder = () =>
+    Array.from(sortableList.querySelectorAll('.sortable-item')).map(item => item.dataset.id);
+
+  sortableList.addEventListener('dragstart', function(e) {
+    draggedItem = e.target.closest('.sortable-item');
+    if (!draggedItem) return;
+    originalOrder = currentOrder();
+    draggedItem.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  // Move the dragged item above or below the item under the pointer
+  sortableList.addEventListener('dragover', function(e) {
+    if (!draggedItem) return;
+    e.preventDefault();
+
+    const target = e.target.closest('.sortable-item');
+    if (!target || target === draggedItem) return;
+
+    const rect = target.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    sortableList.insertBefore(draggedItem, after ? target.nextSibling : target);
+  });
+
+  sortableList.addEventListener('dragend', function() {
+    if (!draggedItem) return;
+    draggedItem.classList.remove('dragging');
+    draggedItem = null;
+
+    const order = currentOrder();
+    if (order.join() === originalOrder.join()) return;
+
+    // Save the new order; put the items back if the server rejects it
+    fetch(sortableList.dataset.reorderUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+      },
+      body: JSON.stringify({ order: order })
+    })
+      .then(response => {
+        if (!response.ok) throw new Error('Request failed');
+      })
+      .catch(() => {
+        originalOrder.forEach(id => {
+          sortableList.appendChild(sortableList.querySelector(`.sortable-item[data-id="${id}"]`));
+        });
+        alert('Could not save the new order. Please try again.');
+      });
+  });
+});
+
+// Add movie autofill - Look up the typed title and prefill the form from the chosen result
+document.addEventListener('DOMContentLoaded', function() {
+  const titleInput = document.querySelector('input[data-autofill-url]');
+  const resultsList = document.querySelector('.autofill-results');
+  if (!titleInput || !resultsList) return;
+
+  const lookupUrl = titleInput.dataset.autofillUrl;
+  const form = titleInput.form;
+  let debounceTimer = null;
+  let latestQuery = '';
+
+  const hideResults = () => {
+    resultsList.hidden = true;
+    resultsList.innerHTML = '';
+  };
+
+  // Fill the form with the chosen movie's details
+  const applyDetails = (movie) => {
+    titleInput.value = movie.title || titleInput.value;
+    if (movie.description) form.querySelector('[name="description"]').value = movie.description;
+    if (movie.year) form.querySelector('[name="year"]').value = movie.year;
+    if (movie.coverImage) form.querySelector('[name="coverImage"]').value = movie.coverImage;
+    if (movie.genres && movie.genres.length > 0) {
+      form.querySelectorAll('input[name="genres"]').forEach(checkbox => {
+        checkbox.checked = movie.genres.includes(checkbox.value);
+      });
+    }
+  };
+
+  const showResults = (results) => {
+    resultsList.innerHTML = '';
+    if (results.length === 0) return hideResults();
+
+    results.forEach(result => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = result.year ? `${result.title} (${result.year})` : result.title;
+      button.addEventListener('click', () => {
+        hideResults();
+        fetch(`${lookupUrl}/${encodeURIComponent(result.id)}`)
+          .then(response => response.json())
+          .then(data => {
+            if (data.movie) applyDetails(data.movie);
+          })
+          .catch(() => alert('Could not load the movie details. Please fill them in yourself.'));
+      });
+      item.appendChild(button);
+      resultsList.appendChild(item);
+    });
+    resultsList.hidden = false;
+  };
+
+  // Search after the user stops typing for a moment
+  titleInput.addEventListener('input', function() {
+    clearTimeout(debounceTimer);
+    const query = this.value.trim();
+    if (query.length < 2) return hideResults();
+
+    debounceTimer = setTimeout(() => {
+      latestQuery = query;
+      fetch(`${lookupUrl}?q=${encodeURIComponent(query)}`)
+        .then(response => response.json())
+        .then(data => {
+          // Ignore answers to older searches
+          if (query === latestQuery) showResults(data.results || []);
+        })
+        .catch(hideResults);
+    }, 350);
+  });
+
+  document.addEventListener('click', function(e) {
+    if (!resultsList.contains(e.target) && e.target !== titleInput) hideResults();
+  });
+});
+
+// Stats page - Draw the collection charts from the stats JSON
+document.addEventListener('DOMContentLoaded', function() {
+  const statsPage = document.querySelector('.stats-page[data-stats-url]');
+  if (!statsPage) return;
+
+  const status = statsPage.querySelector('.stats-status');
+
+  // Horizontal bars sized against the largest value
+  const drawBarChart = (chart, items, maxValue) => {
+    const max = maxValue || Math.max(...items.map(item => item.value), 1);
+    chart.innerHTML = '';
+
+    if (items.length === 0) {
+      chart.textContent = 'No movies yet';
+      return;
+    }
+
+    items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'bar-row';
+
+      const label = document.createElement('span');
+      label.className = 'bar-label';
+      label.textContent = item.label;
+
+      const track = document.createElement('span');
+      track.className = 'bar-track';
+      const bar = document.createElement('span');
+      bar.className = 'stat-bar';
+      bar.style.width = `${Math.round(item.value / max * 100)}%`;
+      track.appendChild(bar);
+
+      const value = document.createElement('span');
+      value.className = 'bar-value';
+      value.textContent = item.value;
+
+      row.append(label, track, value);
+      chart.appendChild(row);
+    });
+  };
+
+  // Vertical columns for fixed ranges (ratings 1-10, the last 12 months)
+  const drawColumnChart = (chart, items) => {
+    const max = Math.max(...items.map(item => item.value), 1);
+    chart.innerHTML = '';
+
+    items.forEach(item => {
+      const column = document.createElement('div');
+      column.className = 'column';
+      column.title = `${item.label}: ${item.value}`;
+
+      const value = document.createElement('span');
+      value.className = 'column-value';
+      value.textContent = item.value;
+
+      const track = document.createElement('span');
+      track.className = 'column-track';
+      const bar = document.createElement('span');
+      bar.className = 'column-bar';
+      bar.style.height = `${Math.round(item.value / max * 100)}%`;
+      track.appendChild(bar);
+
+      const label = document.createElement('span');
+      label.className = 'column-label';
+      label.textContent = item.label;
+
+      column.append(value, track, label);
+      chart.appendChild(column);
+    });
+  };
+
+  const monthLabel = (month) => {
+    const [year, number] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, number - 1, 1))
+      .toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' });
+  };
+
+  const chart = (name) => statsPage.querySelector(`[data-chart="${name}"]`);
+
+  fetch(statsPage.dataset.statsUrl, { headers: { 'Accept': 'application/json' } })
+    .then(response => {
+      if (!response.ok) throw new Error('Request failed');
+      return response.json();
+    })
+    .then(({ stats }) => {
+      status.remove();
+
+      statsPage.querySelector('[data-stat="movies"]').textContent = stats.totals.movies;
+      statsPage.querySelector('[data-stat="averageRating"]').textContent =
+        stats.totals.averageRating === null ? '–' : stats.totals.averageRating;
+      statsPage.querySelector('[data-stat="genres"]').textContent = stats.genres.length;
+
+      drawBarChart(chart('genres'), stats.genres.map(g => ({ label: g.genre, value: g.count })));
+      drawBarChart(chart('genreRatings'), stats.genres.map(g => ({ label: g.genre, value: g.averageRating })), 10);
+      drawBarChart(chart('decades'), stats.decades.map(d => ({ label: `${d.decade}s`, value: d.count })));
+      drawColumnChart(chart('ratings'), stats.ratings.map(r => ({ label: r.rating, value: r.count })));
+      drawColumnChart(chart('monthly'), stats.monthly.map(m => ({ label: monthLabel(m.month), value: m.count })));
+
+      const topRated = chart('topRated');
+      if (stats.topRated.length === 0) {
+        topRated.textContent = 'No movies yet';
+      }
+      stats.topRated.forEach(movie => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `/movies/${movie.id}`;
+        link.textContent = `${movie.name} (${movie.year})`;
+        item.append(link, ` ⭐ ${movie.rating}/10`);
+        topRated.appendChild(item);
+      });
+    })
+    .catch(() => {
+      status.textContent = 'Could not load the statistics. Please refresh the page to try again.';
+    });
+});
+
+// Tag autocomplete - Suggest the user's existing tags for the tag being typed
+document.addEventListener('DOMContentLoaded', function() {
+  const tagInput = document.querySelector('input[data-tags-url]');
+  const suggestions = document.querySelector('.tag-suggestions');
+  if (!tagInput || !suggestions) return;
+
+  let debounceTimer = null;
+
+  const hideSuggestions = () => {
+    suggestions.hidden = true;
+    suggestions.innerHTML = '';
+  };
+
+  // Tags already typed, and the unfinished one after the last comma
+  const typedTags = () => {
+    const parts = tagInput.value.split(',');
+    return {
+      done: parts.slice(0, -1).map(tag => tag.trim()).filter(Boolean),
+      current: parts[parts.length - 1].trim()
+    };
+  };
+
+  const showSuggestions = (tags) => {
+    const { done } = typedTags();
+    suggestions.innerHTML = '';
+    tags = tags.filter(tag => !done.includes(tag));
+    if (tags.length === 0) return hideSuggestions();
+
+    tags.forEach(tag => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = tag;
+      button.addEventListener('click', () => {
+        tagInput.value = typedTags().done.concat(tag).join(', ') + ', ';
+        hideSuggestions();
+        tagInput.focus();
+      });
+      item.appendChild(button);
+      suggestions.appendChild(item);
+    });
+    suggestions.hidden = false;
+  };
+
+  tagInput.addEventListener('input', function() {
+    clearTimeout(debounceTimer);
+    const { current } = typedTags();
+    if (!current) return hideSuggestions();
+
+    debounceTimer = setTimeout(() => {
+      fetch(`${tagInput.dataset.tagsUrl}?q=${encodeURIComponent(current.toLowerCase())}`)
+        .then(response => response.json())
+        .then(data => {
+          // Ignore answers for a tag the user has moved on from
+          if (typedTags().current === current) showSuggestions(data.tags || []);
+        })
+        .catch(hideSuggestions);
+    }, 250);
+  });
+
+  document.addEventListener('click', function(e) {
+    if (!suggestions.contains(e.target) && e.target !== tagInput) hideSuggestions();
+  });
+});
+
+// Bulk actions - Count the selected movies and show only the fields the chosen action needs
+document.addEventListener('DOMContentLoaded', function() {
+  const bulkForm = document.getElementById('bulk-form');
+  if (!bulkForm) return;
+
+  const selectAll = document.getElementById('bulk-select-all');
+  const count = bulkForm.querySelector('.bulk-count');
+  const actionSelect = bulkForm.querySelector('select[name="action"]');
+  const fields = bulkForm.querySelectorAll('.bulk-field');
+
+  // Looked up each time because live updates add and remove cards
+  const checkboxes = () => Array.from(document.querySelectorAll('input.bulk-checkbox'));
+  const selected = () => checkboxes().filter(checkbox => checkbox.checked);
+
+  const updateSelection = () => {
+    const all = checkboxes();
+    const checked = selected().length;
+    count.textContent = `${checked} selected`;
+    selectAll.checked = checked > 0 && checked === all.length;
+    selectAll.indeterminate = checked > 0 && checked < all.length;
+    all.forEach(checkbox => {
+      checkbox.closest('.movie-card').classList.toggle('selected', checkbox.checked);
+    });
+  };
+
+  const updateFields = () => {
+    fields.forEach(field => {
+      const used = field.dataset.actions.split(' ').includes(actionSelect.value);
+      field.hidden = !used;
+      field.disabled = !used;
+    });
+  };
+
+  document.addEventListener('change', function(e) {
+    if (e.target.matches('input.bulk-checkbox')) updateSelection();
+  });
+  document.addEventListener('movielist:change', updateSelection);
+  selectAll.addEventListener('change', function() {
+    checkboxes().forEach(checkbox => {
+      checkbox.checked = selectAll.checked;
+    });
+    updateSelection();
+  });
+  actionSelect.addEventListener('change', updateFields);
+
+  bulkForm.addEventListener('submit', function(e) {
+    const checked = selected().length;
+    if (checked === 0) {
+      e.preventDefault();
+      alert('Please select at least one movie.');
+    } else if (actionSelect.value === 'delete' &&
+        !confirm(`Move ${checked} ${checked === 1 ? 'movie' : 'movies'} to the trash? You can restore them from the trash later.`)) {
+      e.preventDefault();
+    }
+  });
+
+  updateSelection();
+  updateFields();
+});
+
+// Live updates - Keep the movie list in step with changes made in other tabs and windows
+// (Server-Sent Events from /events, see services/realtime.js)
+document.addEventListener('DOMContentLoaded', function() {
+  const page = document.querySelector('[data-events-url]');
+  if (!page || !window.EventSource) return;
+
+  const canInsert = page.dataset.liveInsert === 'true';
+  const source = new EventSource(page.dataset.eventsUrl);
+
+  let toasts = null;
+
+  // Short message in the corner that fades out like the flash messages;
+  // pass reload to offer reloading when the list can't be patched in place
+  const showToast = (message, reload) => {
+    if (!toasts) {
+      toasts = document.createElement('div');
+      toasts.className = 'toast-container';
+      toasts.setAttribute('role', 'status');
+      document.body.appendChild(toasts);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    if (reload) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-sm btn-outline';
+      button.textContent = 'Reload';
+      button.addEventListener('click', () => window.location.reload());
+      toast.appendChild(button);
+    }
+    toasts.appendChild(toast);
+
+    setTimeout(() => {
+      toast.style.transition = 'opacity 0.5s ease';
+      toast.style.opacity = '0';
+      setTimeout(() => toast.remove(), 500);
+    }, 5000);
+  };
+
+  const cardFor = id => document.querySelector(`.movie-card[data-movie-id="${id}"]`);
+
+  // The card as the server renders it, or null if it can't be shown (e.g. deleted meanwhile)
+  const fetchCard = async id => {
+    try {
+      const response = await fetch(`/movies/${encodeURIComponent(id)}/card`);
+      if (!response.ok || response.redirected) return null;
+
+      const template = document.createElement('template');
+      template.innerHTML = (await response.text()).trim();
+      return template.content.querySelector('.movie-card');
+    } catch (err) {
+      return null;
+    }
+  };
+
+  // Tell the bulk toolbar the cards changed
+  const listChanged = () => document.dispatchEvent(new CustomEvent('movielist:change'));
+
+  source.addEventListener('movie-added', async function(e) {
+    const movie = JSON.parse(e.data);
+    const grid = document.querySelector('.movies-grid');
+
+    // Only the newest-first first page has an obvious place for a new movie
+    const card = canInsert && grid && !cardFor(movie.id) ? await fetchCard(movie.id) : null;
+    if (card) {
+      grid.prepend(card);
+      listChanged();
+    }
+    showToast(`"${movie.name}" was ${movie.restored ? 'restored from the trash' : 'added'}`, !card);
+  });
+
+  source.addEventListener('movie-updated', async function(e) {
+    const movie = JSON.parse(e.data);
+    const card = cardFor(movie.id);
+
+    if (card) {
+      const fresh = await fetchCard(movie.id);
+      if (fresh) {
+        // Keep the card selected for bulk actions
+        const checkbox = card.querySelector('input.bulk-checkbox');
+        const freshCheckbox = fresh.querySelector('input.bulk-checkbox');
+        if (checkbox && freshCheckbox) freshCheckbox.checked = checkbox.checked;
+        card.replaceWith(fresh);
+        listChanged();
+      }
+    }
+    showToast(`"${movie.name}" was updated`);
+  });
+
+  source.addEventListener('movie-deleted', function(e) {
+    const movie = JSON.parse(e.data);
+    const card = cardFor(movie.id);
+
+    if (card) {
+      card.remove();
+      listChanged();
+    }
+    showToast(`"${movie.name}" was moved to the trash`);
+  });
+});
@@ -0,0 +1,694 @@
+/**
+ * Admin area routes
+ * User management (search, roles, disable, delete), genres, content moderation
+ * (including reported reviews and comments), site stats and the audit log
+ * Every route requires the admin role
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const Movie = require('../models/Movie');
+const List = require('../models/List');
+const Genre = require('../models/Genre');
+const AuditLog = require('../models/AuditLog');
+const Review = require('../models/Review');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const { isAuthenticated, requireRole } = require('../middleware/auth');
+const { genreRules } = require('../middleware/validation');
+const { deleteAccount } = require('../services/accounts');
+const { removeCover } = require('../services/coverStorage');
+const recommendations = require('../services/recommendations');
+const reviews = require('../services/reviews');
+const audit = require('../services/audit');
+const realtime = require('../services/realtime');
+const { escapeRegex } = require('../utils/text');
+const { pageUrlFor } = require('../utils/pagination');
+
+// Users shown per page of the user list
+const USERS_PER_PAGE = 20;
+
+// Entries shown per page of the audit log
+const AUDIT_PER_PAGE = 50;
+
+// Reported reviews and comments shown per page of the moderation queue
+const REPORTS_PER_PAGE = 20;
+
+router.use(isAuthenticated, requireRole('admin'));
+
+/**
+ * Load the user named by :id into req.account
+ * (req.user is the admin making the request)
+ */
+router.param('id', async (req, res, next, id) => {
+  try {
+    const account = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+
+    if (!account) {
+      req.flash('error_msg', 'User not found');
+      return res.redirect('/admin/users');
+    }
+
+    req.account = account;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Load the genre named by :genreId into req.genre
+ */
+router.param('genreId', async (req, res, next, id) => {
+  try {
+    const genre = mongoose.isValidObjectId(id) ? await Genre.findById(id) : null;
+
+    if (!genre) {
+      req.flash('error_msg', 'Genre not found');
+      return res.redirect('/admin/genres');
+    }
+
+    req.genre = genre;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Refuse admin actions that would lock the admin out of their own account
+ * @returns {boolean} - True if the request was answered
+ */
+function rejectSelf(req, res, action) {
+  if (!req.account._id.equals(req.user._id)) return false;
+
+  req.flash('error_msg', `You cannot ${action} your own account`);
+  res.redirect(`/admin/users/${req.account._id}`);
+  return true;
+}
+
+/**
+ * Replace a genre on every movie filed under it, trashed ones included
+ * Movies are saved one at a time so each gets a revision naming the admin,
+ * and their owners' cached recommendations are refreshed
+ * @param {Object} req - Express request (the admin making the change)
+ * @param {string} name - Genre to replace
+ * @param {string} replacement - Genre the movies get instead
+ * @returns {Promise<number>} - Number of movies changed
+ */
+async function replaceGenre(req, name, replacement) {
+  let changed = 0;
+  for await (const movie of Movie.find({ genres: name }).withDeleted().cursor()) {
+    movie.genres = [...new Set(movie.genres.map(genre => genre === name ? replacement : genre))];
+    movie.$locals.actor = req.user._id;
+    // The new genre is known to exist; other fields of old movies aren't rechecked
+    await movie.save({ validateBeforeSave: false });
+    recommendations.invalidate(movie.userId);
+    changed++;
+  }
+  return changed;
+}
+
+/**
+ * GET /admin
+ * Dashboard with user and movie counts and movies per genre
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [userCount, adminCount, disabledCount, movieCount, genreCounts, recentUsers, reported] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ role: 'admin' }),
+      User.countDocuments({ disabled: true }),
+      Movie.countDocuments(),
+      Movie.aggregate([
+        { $unwind: '$genres' },
+        { $group: { _id: '$genres', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ]),
+      User.find().sort({ createdAt: -1 }).limit(5),
+      Report.distinct('targetId', { status: 'open' })
+    ]);
+
+    res.render('adminDashboard', {
+      title: 'Admin Dashboard',
+      stats: { userCount, adminCount, disabledCount, movieCount, reportedCount: reported.length },
+      genreCounts: genreCounts,
+      recentUsers: recentUsers
+    });
+  } catch (err) {
+    console.error('Error in GET /admin:', err);
+    req.flash('error_msg', 'Error loading admin dashboard');
+    res.redirect('/movies');
+  }
+});
+
+/**
+ * GET /admin/users
+ * List users, newest first
+ * Query: q (matches name or email), page
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const total = await User.countDocuments(filter);
+    const totalPages = Math.max(Math.ceil(total / USERS_PER_PAGE), 1);
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), totalPages);
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * USERS_PER_PAGE)
+      .limit(USERS_PER_PAGE);
+
+    // Movie count for each user on this page
+    const counts = await Movie.aggregate([
+      { $match: { userId: { $in: users.map(u => u._id) } } },
+      { $group: { _id: '$userId', count: { $sum: 1 } } }
+    ]);
+    const movieCounts = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+
+    res.render('adminUsers', {
+      title: 'Manage Users',
+      users: users,
+      movieCounts: movieCounts,
+      q: q,
+      pagination: {
+        page,
+        limit: USERS_PER_PAGE,
+        total,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      },
+      pageUrl: pageUrlFor(req)
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/users:', err);
+    req.flash('error_msg', 'Error fetching users');
+    res.redirect('/admin');
+  }
+});
+
+/**
+ * GET /admin/users/:id
+ * Show a user's account details and their movies (any visibility)
+ * Query: sort, dir, page like GET /movies
+ */
+router.get('/users/:id', async (req, res) => {
+  try {
+    const options = Movie.parseListOptions(req.query);
+    const [{ movies, pagination }, listCount] = await Promise.all([
+      Movie.findPage({ userId: req.account._id }, options),
+      List.countDocuments({ userId: req.account._id })
+    ]);
+
+    res.render('adminUser', {
+      title: `User: ${req.account.name}`,
+      account: req.account,
+      roles: User.roles,
+      movies: movies,
+      listCount: listCount,
+      pagination: pagination,
+      pageUrl: pageUrlFor(req),
+      sortFields: Movie.sortFields
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/users/:id:', err);
+    req.flash('error_msg', 'Error loading user');
+    res.redirect('/admin/users');
+  }
+});
+
+/**
+ * POST /admin/users/:id/role
+ * Change a user's role
+ * Body: role (user or admin)
+ */
+router.post('/users/:id/role', async (req, res) => {
+  if (rejectSelf(req, res, 'change the role of')) return;
+
+  try {
+    if (!User.roles.includes(req.body.role)) {
+      req.flash('error_msg', 'Please choose a valid role');
+      return res.redirect(`/admin/users/${req.account._id}`);
+    }
+
+    const previous = req.account.role;
+    req.account.role = req.body.role;
+    await req.account.save();
+    await audit.record(req, 'role-changed', { user: req.account, details: { from: previous, to: req.account.role } });
+
+    req.flash('success_msg', `${req.account.name} is now ${req.account.role === 'admin' ? 'an admin' : 'a regular user'}`);
+    res.redirect(`/admin/users/${req.account._id}`);
+  } catch (err) {
+    console.error('Error in POST /admin/users/:id/role:', err);
+    req.flash('error_msg', 'Error changing role');
+    res.redirect(`/admin/users/${req.account._id}`);
+  }
+});
+
+/**
+ * POST /admin/users/:id/disable
+ * Disable an account (the user is logged out and cannot log in)
+ */
+router.post('/users/:id/disable', async (req, res) => {
+  if (rejectSelf(req, res, 'disable')) return;
+
+  try {
+    req.account.disabled = true;
+    await req.account.save();
+    realtime.disconnect({ userId: req.account._id });
+    await audit.record(req, 'account-disabled', { user: req.account });
+
+    req.flash('success_msg', `${req.account.name}'s account has been disabled`);
+    res.redirect(`/admin/users/${req.account._id}`);
+  } catch (err) {
+    console.error('Error in POST /admin/users/:id/disable:', err);
+    req.flash('error_msg', 'Error disabling account');
+    res.redirect(`/admin/users/${req.account._id}`);
+  }
+});
+
+/**
+ * POST /admin/users/:id/enable
+ * Re-enable a disabled account
+ */
+router.post('/users/:id/enable', async (req, res) => {
+  try {
+    req.account.disabled = false;
+    await req.account.save();
+    await audit.record(req, 'account-enabled', { user: req.account });
+
+    req.flash('success_msg', `${req.account.name}'s account has been enabled`);
+    res.redirect(`/admin/users/${req.account._id}`);
+  } catch (err) {
+    console.error('Error in POST /admin/users/:id/enable:', err);
+    req.flash('error_msg', 'Error enabling account');
+    res.redirect(`/admin/users/${req.account._id}`);
+  }
+});
+
+/**
+ * POST /admin/users/:id/delete
+ * Delete a user with all of their movies, lists and uploaded covers
+ */
+router.post('/users/:id/delete', async (req, res) => {
+  if (rejectSelf(req, res, 'delete')) return;
+
+  try {
+    const { movies } = await deleteAccount(req.account._id);
+    await audit.record(req, 'account-deleted', { user: req.account, details: { movies } });
+
+    req.flash('success_msg', `Deleted ${req.account.name} and ${movies} ${movies === 1 ? 'movie' : 'movies'}`);
+    res.redirect('/admin/users');
+  } catch (err) {
+    console.error('Error in POST /admin/users/:id/delete:', err);
+    req.flash('error_msg', 'Error deleting user');
+    res.redirect(`/admin/users/${req.account._id}`);
+  }
+});
+
+/**
+ * GET /admin/genres
+ * List genres with the number of movies using each
+ */
+router.get('/genres', async (req, res) => {
+  try {
+    await Genre.ensureDefaults();
+    const [genres, counts] = await Promise.all([
+      Genre.find().sort({ key: 1 }),
+      Movie.aggregate([
+        { $unwind: '$genres' },
+        { $group: { _id: '$genres', count: { $sum: 1 } } }
+      ])
+    ]);
+    const movieCounts = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.render('adminGenres', {
+      title: 'Manage Genres',
+      genres: genres,
+      movieCounts: movieCounts
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/genres:', err);
+    req.flash('error_msg', 'Error loading genres');
+    res.redirect('/admin');
+  }
+});
+
+/**
+ * POST /admin/genres
+ * Add a genre
+ * Body: name
+ */
+router.post('/genres', genreRules, async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(error => error.msg).join('. '));
+    return res.redirect('/admin/genres');
+  }
+
+  try {
+    if (await Genre.exists({ key: Genre.genreKey(req.body.name) })) {
+      req.flash('error_msg', `The genre "${req.body.name}" already exists`);
+      return res.redirect('/admin/genres');
+    }
+
+    const genre = await Genre.create({ name: req.body.name });
+
+    req.flash('success_msg', `Added the genre "${genre.name}"`);
+    res.redirect('/admin/genres');
+  } catch (err) {
+    console.error('Error in POST /admin/genres:', err);
+    req.flash('error_msg', err.code === 11000 ? 'That genre already exists' : 'Error adding genre');
+    res.redirect('/admin/genres');
+  }
+});
+
+/**
+ * POST /admin/genres/:genreId/rename
+ * Rename a genre; movies filed under it are updated to the new name
+ * Body: name
+ */
+router.post('/genres/:genreId/rename', genreRules, async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(error => error.msg).join('. '));
+    return res.redirect('/admin/genres');
+  }
+
+  try {
+    const oldName = req.genre.name;
+    const newName = req.body.name;
+
+    // Changing only the capitalisation keeps the same key
+    const taken = await Genre.exists({ key: Genre.genreKey(newName), _id: { $ne: req.genre._id } });
+    if (taken) {
+      req.flash('error_msg', `The genre "${newName}" already exists`);
+      return res.redirect('/admin/genres');
+    }
+
+    req.genre.name = newName;
+    await req.genre.save();
+    const changed = await replaceGenre(req, oldName, newName);
+
+    req.flash('success_msg', `Renamed "${oldName}" to "${newName}" (${changed} movies updated)`);
+    res.redirect('/admin/genres');
+  } catch (err) {
+    console.error('Error in POST /admin/genres/:genreId/rename:', err);
+    req.flash('error_msg', 'Error renaming genre');
+    res.redirect('/admin/genres');
+  }
+});
+
+/**
+ * POST /admin/genres/:genreId/delete
+ * Remove a genre; movies using it must be moved to another genre
+ * Body: replaceWith (name of the genre those movies get instead, when the genre is in use)
+ */
+router.post('/genres/:genreId/delete', async (req, res) => {
+  try {
+    const name = req.genre.name;
+    const replaceWith = String(req.body.replaceWith || '');
+    const inUse = await Movie.countDocuments({ genres: name }).withDeleted();
+
+    if (inUse > 0) {
+      const replacement = replaceWith
+        ? await Genre.findOne({ name: replaceWith, _id: { $ne: req.genre._id } })
+        : null;
+
+      if (!replacement) {
+        req.flash('error_msg', `"${name}" is used by ${inUse} movies. Choose a genre to move them to.`);
+        return res.redirect('/admin/genres');
+      }
+
+      await replaceGenre(req, name, replacement.name);
+    }
+
+    await req.genre.deleteOne();
+
+    req.flash('success_msg', inUse > 0
+      ? `Deleted "${name}" and moved ${inUse} movies to "${replaceWith}"`
+      : `Deleted "${name}"`);
+    res.redirect('/admin/genres');
+  } catch (err) {
+    console.error('Error in POST /admin/genres/:genreId/delete:', err);
+    req.flash('error_msg', 'Error deleting genre');
+    res.redirect('/admin/genres');
+  }
+});
+
+/**
+ * POST /admin/movies/:movieId/delete
+ * Remove any user's movie (content moderation)
+ */
+router.post('/movies/:movieId/delete', async (req, res) => {
+  try {
+    const movie = mongoose.isValidObjectId(req.params.movieId)
+      ? await Movie.findById(req.params.movieId)
+      : null;
+
+    if (!movie) {
+      req.flash('error_msg', 'Movie not found');
+      return res.redirect('/admin/users');
+    }
+
+    await movie.deleteOne();
+    await reviews.removeReviews({ movieId: movie._id });
+    await List.updateMany({ userId: movie.userId }, { $pull: { movies: movie._id } });
+    await removeCover(movie.coverUpload);
+    recommendations.invalidate(movie.userId);
+
+    const owner = await User.findById(movie.userId);
+    await audit.record(req, 'movie-removed', {
+      user: owner,
+      details: { movieId: movie._id, name: movie.name }
+    });
+
+    req.flash('success_msg', `"${movie.name}" deleted successfully`);
+    res.redirect(`/admin/users/${movie.userId}`);
+  } catch (err) {
+    console.error('Error in POST /admin/movies/:movieId/delete:', err);
+    req.flash('error_msg', 'Error deleting movie');
+    res.redirect('/admin/users');
+  }
+});
+
+/**
+ * Load the reported review or comment named by :targetId into req.target
+ * ({ type, doc }, where doc is null if the content is already gone)
+ */
+router.param('targetId', async (req, res, next, id) => {
+  try {
+    const report = mongoose.isValidObjectId(id)
+      ? await Report.findOne({ targetId: id, status: 'open' })
+      : null;
+
+    if (!report) {
+      req.flash('error_msg', 'There are no open reports about that content');
+      return res.redirect('/admin/reports');
+    }
+
+    const Model = report.targetType === 'review' ? Review : Comment;
+    req.target = { type: report.targetType, movieId: report.movieId, doc: await Model.findById(id) };
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /admin/reports
+ * Reviews and comments with open reports, longest waiting first
+ * Reports about the same content are shown together
+ * Query: page
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const [{ total = 0 } = {}] = await Report.aggregate([
+      { $match: { status: 'open' } },
+      { $group: { _id: '$targetId' } },
+      { $count: 'total' }
+    ]);
+    const totalPages = Math.max(Math.ceil(total / REPORTS_PER_PAGE), 1);
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), totalPages);
+
+    const groups = await Report.aggregate([
+      { $match: { status: 'open' } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$targetId',
+          targetType: { $first: '$targetType' },
+          movieId: { $first: '$movieId' },
+          count: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          notes: { $push: '$note' },
+          firstReportedAt: { $first: '$createdAt' }
+        }
+      },
+      { $sort: { firstReportedAt: 1, _id: 1 } },
+      { $skip: (page - 1) * REPORTS_PER_PAGE },
+      { $limit: REPORTS_PER_PAGE }
+    ]);
+
+    // The reported content itself, with its author and movie
+    const ids = (type) => groups.filter(group => group.targetType === type).map(group => group._id);
+    const [reviews, comments, movies] = await Promise.all([
+      Review.find({ _id: { $in: ids('review') } }).populate('userId', 'name email'),
+      Comment.find({ _id: { $in: ids('comment') } }).populate('userId', 'name email'),
+      Movie.find({ _id: { $in: groups.map(group => group.movieId) } }).withDeleted().select('name')
+    ]);
+    const content = new Map([...reviews, ...comments].map(doc => [doc.id, doc]));
+    const movieNames = new Map(movies.map(movie => [movie.id, movie.name]));
+
+    res.render('adminReports', {
+      title: 'Reported Content',
+      reports: groups.map(group => ({
+        ...group,
+        content: content.get(group._id.toString()) || null,
+        movieName: movieNames.get(group.movieId.toString()) || null,
+        notes: group.notes.filter(Boolean)
+      })),
+      reportReasons: Report.reportReasons,
+      pagination: {
+        page,
+        limit: REPORTS_PER_PAGE,
+        total,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      },
+      pageUrl: pageUrlFor(req)
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/reports:', err);
+    req.flash('error_msg', 'Error loading reported content');
+    res.redirect('/admin');
+  }
+});
+
+/**
+ * POST /admin/reports/:targetId/dismiss
+ * Keep a reported review or comment and close its open reports
+ */
+router.post('/reports/:targetId/dismiss', async (req, res) => {
+  try {
+    const result = await Report.updateMany(
+      { targetId: req.params.targetId, status: 'open' },
+      { status: 'dismissed', resolvedBy: req.user._id, resolvedAt: new Date() }
+    );
+
+    const author = req.target.doc ? await User.findById(req.target.doc.userId) : null;
+    await audit.record(req, 'report-dismissed', {
+      user: author,
+      details: { targetType: req.target.type, targetId: req.params.targetId, reports: result.modifiedCount }
+    });
+
+    req.flash('success_msg', `Dismissed ${result.modifiedCount} ${result.modifiedCount === 1 ? 'report' : 'reports'}`);
+    res.redirect('/admin/reports');
+  } catch (err) {
+    console.error('Error in POST /admin/reports/:targetId/dismiss:', err);
+    req.flash('error_msg', 'Error dismissing reports');
+    res.redirect('/admin/reports');
+  }
+});
+
+/**
+ * POST /admin/reports/:targetId/remove
+ * Delete a reported review (with its comments) or comment; its reports go with it
+ */
+router.post('/reports/:targetId/remove', async (req, res) => {
+  const { type, doc, movieId } = req.target;
+
+  try {
+    if (!doc) {
+      // Already deleted by its author; only the reports are left
+      await Report.deleteMany({ targetId: req.params.targetId });
+      req.flash('success_msg', `That ${type} was already deleted`);
+      return res.redirect('/admin/reports');
+    }
+
+    if (type === 'review') {
+      await reviews.removeReviews({ _id: doc._id });
+    } else {
+      await reviews.removeComment(doc);
+    }
+
+    await audit.record(req, `${type}-removed`, {
+      user: await User.findById(doc.userId),
+      details: { movieId, [`${type}Id`]: doc._id, reported: true }
+    });
+
+    req.flash('success_msg', `${type === 'review' ? 'Review' : 'Comment'} removed`);
+    res.redirect('/admin/reports');
+  } catch (err) {
+    console.error('Error in POST /admin/reports/:targetId/remove:', err);
+    req.flash('error_msg', `Error removing ${type}`);
+    res.redirect('/admin/reports');
+  }
+});
+
+/**
+ * GET /admin/audit
+ * Security audit log, newest first
+ * Query: event, q (matches the account email), user (account id), page
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const event = AuditLog.auditEvents[req.query.event] ? req.query.event : '';
+    const userId = mongoose.isValidObjectId(req.query.user) ? req.query.user : '';
+
+    const filter = {};
+    if (event) filter.event = event;
+    if (q) filter.email = new RegExp(escapeRegex(q), 'i');
+    if (userId) filter.userId = userId;
+
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.max(Math.ceil(total / AUDIT_PER_PAGE), 1);
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), totalPages);
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * AUDIT_PER_PAGE)
+      .limit(AUDIT_PER_PAGE)
+      .populate('actorId', 'name');
+
+    res.render('adminAudit', {
+      title: 'Audit Log',
+      entries: entries,
+      auditEvents: AuditLog.auditEvents,
+      event: event,
+      q: q,
+      userId: userId,
+      pagination: {
+        page,
+        limit: AUDIT_PER_PAGE,
+        total,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      },
+      pageUrl: pageUrlFor(req)
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/audit:', err);
+    req.flash('error_msg', 'Error loading the audit log');
+    res.redirect('/admin');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+/**
+ * JSON REST API (v1) for movies
+ * Mounted at /api/v1 and authenticated with JWT bearer tokens issued by POST /users/token
+ * Uses the same Movie model and validation rules as the HTML movie routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+
+const Movie = require('../models/Movie');
+const Genre = require('../models/Genre');
+const { verifyToken } = require('../middleware/auth');
+const { movieRules, movieFields } = require('../middleware/validation');
+const { coverUpload } = require('../middleware/upload');
+const { resolveCover, removeCover } = require('../services/coverStorage');
+const recommendations = require('../services/recommendations');
+const realtime = require('../services/realtime');
+const { trashMovie } = require('../services/trash');
+
+/**
+ * Send a structured JSON error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Human readable error message
+ * @param {Array} [details] - Field-level errors ({ field, message })
+ */
+function sendError(res, status, message, details) {
+  const error = { status, message };
+  if (details) error.details = details;
+  res.status(status).json({ error });
+}
+
+/**
+ * Send express-validator errors as field-level details
+ * @param {Object} res - Express response
+ * @param {Object} errors - Result of validationResult(req)
+ */
+function sendValidationErrors(res, errors) {
+  sendError(res, 422, 'Validation failed', errors.array().map(err => ({
+    field: err.path,
+    message: err.msg
+  })));
+}
+
+// Every API route requires a valid bearer token
+router.use(verifyToken);
+
+// Load the movie for :id routes, only if it belongs to the token's user
+router.param('id', async (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return sendError(res, 404, 'Movie not found');
+  }
+
+  try {
+    const movie = await Movie.findOne({ _id: id, userId: req.user._id });
+
+    if (!movie) {
+      return sendError(res, 404, 'Movie not found');
+    }
+
+    req.movie = movie;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/v1/movies
+ * List one page of the user's movies, newest first by default
+ * Optional query filters: name, genre, tag, minYear, maxYear, minRating, maxRating
+ * Sorting and paging: sort, dir, page, limit
+ */
+router.get('/movies', async (req, res, next) => {
+  try {
+    const filter = Movie.buildFilter(req.user._id, req.query);
+    const options = Movie.parseListOptions(req.query);
+    const { movies, pagination } = await Movie.findPage(filter, options);
+
+    res.json({ count: movies.length, movies, pagination });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/v1/movies/:id
+ * Get a single movie
+ */
+router.get('/movies/:id', (req, res) => {
+  res.json({ movie: req.movie });
+});
+
+/**
+ * POST /api/v1/movies
+ * Create a movie (JSON, or multipart with an optional "coverFile" upload)
+ */
+router.post('/movies', coverUpload, movieRules, async (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return sendValidationErrors(res, errors);
+  }
+
+  let cover;
+  try {
+    cover = await resolveCover(req);
+    const movie = await Movie.create({
+      ...movieFields(req.body),
+      ...cover.fields,
+      userId: req.user._id
+    });
+    recommendations.invalidate(req.user._id);
+    realtime.publish(req.user._id, 'movie-added', { id: movie.id, name: movie.name });
+
+    res.status(201)
+      .location(`${req.baseUrl}/movies/${movie._id}`)
+      .json({ movie });
+  } catch (err) {
+    if (cover) await removeCover(cover.created);
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/v1/movies/:id
+ * Replace a movie's fields
+ * An uploaded cover is kept unless a new file, a coverImage URL or removeCover is sent
+ */
+router.put('/movies/:id', coverUpload, movieRules, async (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return sendValidationErrors(res, errors);
+  }
+
+  let cover;
+  try {
+    cover = await resolveCover(req, req.movie);
+    req.movie.set({ ...movieFields(req.body), ...cover.fields });
+    await req.movie.save();
+    await removeCover(cover.stale);
+    recommendations.invalidate(req.user._id);
+    realtime.publish(req.user._id, 'movie-updated', { id: req.movie.id, name: req.movie.name });
+
+    res.json({ movie: req.movie });
+  } catch (err) {
+    if (cover) await removeCover(cover.created);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/v1/movies/:id
+ * Move a movie to the trash (it can be restored from /movies/trash until it is purged)
+ */
+router.delete('/movies/:id', async (req, res, next) => {
+  try {
+    await trashMovie(req.movie);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/v1/genres
+ * Genre names a movie can use
+ */
+router.get('/genres', async (req, res, next) => {
+  try {
+    res.json({ genres: await Genre.names() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/v1/stats
+ * Collection statistics (the data behind the stats page charts)
+ */
+router.get('/stats', async (req, res, next) => {
+  try {
+    const stats = await Movie.collectionStats(req.user._id);
+    res.json({ stats });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Unknown API routes
+router.use((req, res) => {
+  sendError(res, 404, 'Not found');
+});
+
+// API error handler - always responds with JSON
+router.use((err, req, res, next) => {
+  if (err instanceof mongoose.Error.ValidationError) {
+    return sendError(res, 422, 'Validation failed', Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.message
+    })));
+  }
+
+  console.error(err);
+  sendError(res, err.status || 500, err.status ? err.message : 'Internal server error');
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * Bulk movie actions
+ * The movie list and filter page send the selected movies here with one action
+ * (see services/bulkMovies.js)
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+
+const List = require('../models/List');
+const { isAuthenticated } = require('../middleware/auth');
+const { bulkRules } = require('../middleware/validation');
+const { applyBulkAction } = require('../services/bulkMovies');
+
+// Most failed movies named in the message; the rest are counted
+const MAX_NAMED_FAILURES = 5;
+
+const movieCount = (count) => `${count} ${count === 1 ? 'movie' : 'movies'}`;
+
+/**
+ * Page to go back to: the movie list or filter page the action was sent from
+ * @param {string} url - returnTo from the form
+ * @returns {string} - Local URL
+ */
+function returnUrl(url) {
+  return /^\/movies(\/filter)?(\?|$)/.test(url || '') ? url : '/movies';
+}
+
+/**
+ * Success message for the movies that were changed
+ * @returns {string} - e.g. 'Added Drama to 3 movies (1 already up to date)'
+ */
+function describeChanges(action, options, result) {
+  const count = movieCount(result.changed.length);
+  const messages = {
+    'delete': `Moved ${count} to the trash`,
+    'add-genre': `Added ${options.genre} to ${count}`,
+    'remove-genre': `Removed ${options.genre} from ${count}`,
+    'set-rating': `Set the rating of ${count} to ${options.rating}/10`,
+    'add-to-list': `Added ${count} to ${options.list && options.list.name}`
+  };
+
+  if (result.changed.length === 0) {
+    return `No changes needed, the selected ${result.unchanged.length === 1 ? 'movie was' : 'movies were'} already up to date`;
+  }
+  return messages[action] + (result.unchanged.length > 0 ? ` (${result.unchanged.length} already up to date)` : '');
+}
+
+/**
+ * Error message listing the movies the action couldn't be applied to
+ * @returns {string} - e.g. 'Could not change 2 movies: "Alien" (Drama is its only genre); 1 movie was not found'
+ */
+function describeFailures(failed) {
+  const named = failed.filter(failure => failure.name);
+  const missing = failed.length - named.length;
+
+  const parts = named.slice(0, MAX_NAMED_FAILURES)
+    .map(failure => `"${failure.name}" (${failure.reason})`);
+  if (named.length > MAX_NAMED_FAILURES) {
+    parts.push(`${movieCount(named.length - MAX_NAMED_FAILURES)} more`);
+  }
+  if (missing > 0) {
+    parts.push(`${movieCount(missing)} ${missing === 1 ? 'was' : 'were'} not found`);
+  }
+
+  return `Could not change ${movieCount(failed.length)}: ${parts.join('; ')}`;
+}
+
+/**
+ * POST /movies/bulk
+ * Apply one action to the selected movies
+ * Body: ids (movie ids), action (delete, add-genre, remove-genre, set-rating, add-to-list),
+ * genre, rating or listId for the actions that need them, returnTo (page to go back to)
+ * Movies that can't be changed are listed in an error message; the rest are still changed
+ */
+router.post('/bulk', isAuthenticated, bulkRules, async (req, res) => {
+  const back = returnUrl(req.body.returnTo);
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const messages = [...new Set(errors.array().map(error => error.msg))];
+    req.flash('error_msg', messages.join('. '));
+    return res.redirect(back);
+  }
+
+  try {
+    const { action, genre, rating } = req.body;
+    const options = { genre, rating };
+
+    if (action === 'add-to-list') {
+      options.list = await List.findOne({ _id: req.body.listId, userId: req.user._id });
+      if (!options.list) {
+        req.flash('error_msg', 'List not found');
+        return res.redirect(back);
+      }
+    }
+
+    const result = await applyBulkAction(req.user, req.body.ids, action, options);
+
+    if (result.changed.length > 0 || result.unchanged.length > 0) {
+      req.flash('success_msg', describeChanges(action, options, result));
+    }
+    if (result.failed.length > 0) {
+      req.flash('error_msg', describeFailures(result.failed));
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error('Error in POST /movies/bulk:', err);
+    req.flash('error_msg', 'Error applying the bulk action');
+    res.redirect(back);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * Live update stream (Server-Sent Events, see services/realtime.js)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const realtime = require('../services/realtime');
+
+/**
+ * GET /events
+ * Stream of live updates for the logged-in user, opened by main.js on the movie list
+ * Logged-out requests get 401 rather than the login redirect, which also stops
+ * the browser from reconnecting
+ */
+router.get('/', (req, res) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).type('text').send('Please log in');
+  }
+  realtime.open(req, res);
+});
+
+module.exports = router;
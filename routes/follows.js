@@ -0,0 +1,175 @@
+/**
+ * Follow routes and activity privacy settings
+ * Users follow each other to see their activity in the home page feed
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const { isAuthenticated } = require('../middleware/auth');
+
+router.use(isAuthenticated);
+
+// Pages with a follow button that the follow form may return to
+const returnPattern = /^\/(profile\/[a-f0-9]{24}|share\/collection\/[\w-]+)$/;
+
+/**
+ * Page to go back to after following someone
+ * @param {string} url - returnTo from the form
+ * @returns {string} - Local URL
+ */
+function returnUrl(url) {
+  return returnPattern.test(url || '') ? url : '/users/following';
+}
+
+/**
+ * GET /users/following
+ * People the user follows, their followers, and the privacy settings for both
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [following, followers] = await Promise.all([
+      Follow.find({ followerId: req.user._id })
+        .sort({ createdAt: -1 })
+        .populate('followingId', 'name collectionVisibility'),
+      Follow.find({ followingId: req.user._id })
+        .sort({ createdAt: -1 })
+        .populate('followerId', 'name collectionVisibility')
+    ]);
+
+    // Skip accounts deleted while the page was loading
+    const followingUsers = following.map(follow => follow.followingId).filter(Boolean);
+    const followingIds = new Set(followingUsers.map(user => user.id));
+
+    res.render('following', {
+      title: 'Following',
+      following: followingUsers,
+      followers: followers.map(follow => follow.followerId).filter(Boolean),
+      followingIds: followingIds
+    });
+  } catch (err) {
+    console.error('Error in GET /users/following:', err);
+    req.flash('error_msg', 'Error loading the people you follow');
+    res.redirect('/');
+  }
+});
+
+/**
+ * POST /users/following
+ * Follow someone, picked by email (on the following page) or by id (follow buttons)
+ * Body: email or userId, returnTo
+ */
+router.post('/', [
+  check('email', 'Please enter a valid email').optional({ values: 'falsy' }).isEmail().normalizeEmail()
+], async (req, res) => {
+  const back = returnUrl(req.body.returnTo);
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(error => error.msg).join('. '));
+    return res.redirect(back);
+  }
+
+  try {
+    const { email, userId } = req.body;
+    let target = null;
+    if (email) {
+      target = await User.findOne({ email });
+    } else if (mongoose.isValidObjectId(userId)) {
+      target = await User.findById(userId);
+    }
+
+    // Missing, disabled and closed accounts get the same answer, so the form
+    // can't be used to find out who has an account
+    if (!target || target.disabled || !target.privacy.allowFollowers) {
+      req.flash('error_msg', email ? 'There is no one with that email you can follow' : 'That user can\'t be followed');
+      return res.redirect(back);
+    }
+    if (target._id.equals(req.user._id)) {
+      req.flash('error_msg', 'You can\'t follow yourself');
+      return res.redirect(back);
+    }
+
+    await Follow.create({ followerId: req.user._id, followingId: target._id });
+
+    req.flash('success_msg', `You are now following ${target.name}`);
+    res.redirect(back);
+  } catch (err) {
+    if (err.code === 11000) {
+      req.flash('error_msg', 'You are already following them');
+      return res.redirect(back);
+    }
+    console.error('Error in POST /users/following:', err);
+    req.flash('error_msg', 'Error following user');
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /users/following/privacy
+ * Save who can follow the user and whether followers see their activity
+ * Body: allowFollowers, shareActivity (checkboxes)
+ */
+router.post('/privacy', async (req, res) => {
+  try {
+    req.user.privacy = {
+      allowFollowers: Boolean(req.body.allowFollowers),
+      shareActivity: Boolean(req.body.shareActivity)
+    };
+    await req.user.save();
+
+    req.flash('success_msg', 'Privacy settings saved');
+    res.redirect('/users/following');
+  } catch (err) {
+    console.error('Error in POST /users/following/privacy:', err);
+    req.flash('error_msg', 'Error saving privacy settings');
+    res.redirect('/users/following');
+  }
+});
+
+/**
+ * POST /users/following/:userId/remove
+ * Stop following someone
+ * Body: returnTo
+ */
+router.post('/:userId/remove', async (req, res) => {
+  const back = returnUrl(req.body.returnTo);
+
+  try {
+    if (mongoose.isValidObjectId(req.params.userId)) {
+      await Follow.deleteOne({ followerId: req.user._id, followingId: req.params.userId });
+    }
+
+    req.flash('success_msg', 'Unfollowed');
+    res.redirect(back);
+  } catch (err) {
+    console.error('Error in POST /users/following/:userId/remove:', err);
+    req.flash('error_msg', 'Error unfollowing user');
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /users/following/followers/:userId/remove
+ * Remove one of the user's followers (they stop seeing the user's activity)
+ */
+router.post('/followers/:userId/remove', async (req, res) => {
+  try {
+    if (mongoose.isValidObjectId(req.params.userId)) {
+      await Follow.deleteOne({ followerId: req.params.userId, followingId: req.user._id });
+    }
+
+    req.flash('success_msg', 'Follower removed');
+    res.redirect('/users/following');
+  } catch (err) {
+    console.error('Error in POST /users/following/followers/:userId/remove:', err);
+    req.flash('error_msg', 'Error removing follower');
+    res.redirect('/users/following');
+  }
+});
+
+module.exports = router;
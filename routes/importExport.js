@@ -0,0 +1,223 @@
+/**
+ * Movie import and export routes (CSV and JSON)
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Movie = require('../models/Movie');
+const { isAuthenticated } = require('../middleware/auth');
+const { importUpload } = require('../middleware/upload');
+const movieImport = require('../services/movieImport');
+const recommendations = require('../services/recommendations');
+const csv = require('../utils/csv');
+const { unescapeHtml } = require('../utils/text');
+
+// Columns written by the export (and recognised again by the import)
+const exportColumns = ['name', 'description', 'year', 'genres', 'tags', 'rating', 'coverImage', 'visibility', 'createdAt'];
+
+/**
+ * Convert a movie into plain export values
+ * Text is unescaped so a re-import stores exactly the same characters
+ * @param {Object} movie - Movie document
+ * @returns {Object} - Export row
+ */
+function exportRow(movie) {
+  return {
+    name: unescapeHtml(movie.name),
+    description: unescapeHtml(movie.description),
+    year: movie.year,
+    genres: movie.genres,
+    tags: movie.tags,
+    rating: movie.rating,
+    // Uploaded covers only exist on this server, so they are not exported
+    coverImage: movie.hasRemoteCover ? movie.coverImage : '',
+    visibility: movie.visibility,
+    createdAt: movie.createdAt.toISOString()
+  };
+}
+
+/**
+ * GET /movies/export
+ * Download all of the user's movies as CSV (default) or JSON (?format=json)
+ * Movies are streamed from a cursor so large collections are not held in memory
+ */
+router.get('/export', isAuthenticated, async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const filename = `movies-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    const cursor = Movie.find({ userId: req.user._id }).sort({ createdAt: -1 }).cursor();
+
+    res.attachment(filename);
+    res.type(format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+
+    if (format === 'json') {
+      let first = true;
+      res.write('[\n');
+      for await (const movie of cursor) {
+        res.write((first ? '' : ',\n') + JSON.stringify(exportRow(movie)));
+        first = false;
+      }
+      res.end('\n]\n');
+    } else {
+      res.write(csv.formatRow(exportColumns));
+      for await (const movie of cursor) {
+        const row = exportRow(movie);
+        res.write(csv.formatRow(exportColumns.map(column =>
+          csv.spreadsheetSafe(Array.isArray(row[column]) ? row[column].join('; ') : row[column])
+        )));
+      }
+      res.end();
+    }
+  } catch (err) {
+    console.error('Error in GET /movies/export:', err);
+
+    // Headers may already be sent once streaming has started
+    if (res.headersSent) return res.end();
+    req.flash('error_msg', 'Error exporting movies');
+    res.redirect('/movies');
+  }
+});
+
+/**
+ * GET /movies/import
+ * Display the import page (file upload and export links)
+ */
+router.get('/import', isAuthenticated, (req, res) => {
+  res.render('importMovies', {
+    title: 'Import & Export',
+    maxRows: movieImport.MAX_ROWS
+  });
+});
+
+/**
+ * POST /movies/import
+ * Read an uploaded CSV or JSON file and keep it for the preview step
+ */
+router.post('/import', isAuthenticated, importUpload, async (req, res) => {
+  const renderError = (msg) => res.render('importMovies', {
+    title: 'Import & Export',
+    maxRows: movieImport.MAX_ROWS,
+    errors: [{ msg }]
+  });
+
+  if (req.uploadError) return renderError(req.uploadError);
+  if (!req.file) return renderError('Please choose a file to import');
+
+  let parsed;
+  try {
+    parsed = movieImport.parseFile(req.file);
+  } catch (err) {
+    return renderError(err.message);
+  }
+
+  try {
+    // Replace any import the user started earlier
+    await movieImport.discardImport(req.session.importKey);
+    req.session.importKey = await movieImport.saveImport({
+      filename: req.file.originalname,
+      columns: parsed.columns,
+      rows: parsed.rows
+    });
+
+    res.redirect('/movies/import/preview');
+  } catch (err) {
+    console.error('Error in POST /movies/import:', err);
+    req.flash('error_msg', 'Error reading import file');
+    res.redirect('/movies/import');
+  }
+});
+
+/**
+ * GET /movies/import/preview
+ * Dry run: map columns to movie fields and show per-row validation results
+ * Query: map[field]=column to change the guessed column mapping
+ */
+router.get('/import/preview', isAuthenticated, async (req, res) => {
+  try {
+    const pending = await movieImport.loadImport(req.session.importKey);
+
+    if (!pending) {
+      req.flash('error_msg', 'Please upload a file to import');
+      return res.redirect('/movies/import');
+    }
+
+    const mapping = req.query.map
+      ? movieImport.cleanMapping(req.query.map, pending.columns)
+      : movieImport.guessMapping(pending.columns);
+    const results = await movieImport.validateRows(pending.rows, mapping);
+    const validCount = results.filter(result => result.fields).length;
+
+    res.render('importPreview', {
+      title: 'Import Preview',
+      filename: pending.filename,
+      columns: pending.columns,
+      fields: Object.keys(movieImport.importFields),
+      mapping: mapping,
+      results: results,
+      validCount: validCount,
+      invalidCount: results.length - validCount
+    });
+  } catch (err) {
+    console.error('Error in GET /movies/import/preview:', err);
+    req.flash('error_msg', 'Error previewing import');
+    res.redirect('/movies/import');
+  }
+});
+
+/**
+ * POST /movies/import/commit
+ * Re-validate every row with the chosen mapping and insert the valid ones in bulk
+ */
+router.post('/import/commit', isAuthenticated, async (req, res) => {
+  try {
+    const pending = await movieImport.loadImport(req.session.importKey);
+
+    if (!pending) {
+      req.flash('error_msg', 'Please upload a file to import');
+      return res.redirect('/movies/import');
+    }
+
+    const mapping = movieImport.cleanMapping(req.body.map, pending.columns);
+    const results = await movieImport.validateRows(pending.rows, mapping);
+    const valid = results.filter(result => result.fields);
+
+    if (valid.length === 0) {
+      req.flash('error_msg', 'None of the rows are valid, nothing was imported');
+      return res.redirect('/movies/import/preview');
+    }
+
+    await Movie.insertMany(valid.map(result => ({
+      ...result.fields,
+      userId: req.user._id
+    })));
+    recommendations.invalidate(req.user._id);
+
+    await movieImport.discardImport(req.session.importKey);
+    delete req.session.importKey;
+
+    const skipped = results.length - valid.length;
+    req.flash('success_msg', `Imported ${valid.length} movies` +
+      (skipped > 0 ? ` (${skipped} invalid rows skipped)` : ''));
+    res.redirect('/movies');
+  } catch (err) {
+    console.error('Error in POST /movies/import/commit:', err);
+    req.flash('error_msg', 'Error importing movies');
+    res.redirect('/movies/import/preview');
+  }
+});
+
+/**
+ * POST /movies/import/cancel
+ * Throw away the pending import
+ */
+router.post('/import/cancel', isAuthenticated, async (req, res) => {
+  await movieImport.discardImport(req.session.importKey);
+  delete req.session.importKey;
+  res.redirect('/movies/import');
+});
+
+module.exports = router;
@@ -6,12 +6,27 @@
 const express = require('express');
 const router = express.Router();
 
-// GET home page
-router.get('/', (req, res) => {
-  res.render('index', {
-    title: 'Movie Management App',
-    user: req.user
-  });
+const activity = require('../services/activity');
+const { pageUrlFor } = require('../utils/pagination');
+
+/**
+ * GET /
+ * Home page; logged-in users also see the activity of the people they follow
+ * Query: page (feed page)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const feed = req.user ? await activity.feedFor(req.user, req.query.page) : null;
+
+    res.render('index', {
+      title: 'Movie Management App',
+      user: req.user,
+      feed: feed,
+      pageUrl: pageUrlFor(req)
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,277 @@
+/**
+ * Movie list routes (watchlist, favourites and user-defined lists)
+ * Handles list CRUD, adding/removing movies and reordering
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+
+const List = require('../models/List');
+const Movie = require('../models/Movie');
+const Activity = require('../models/Activity');
+const { isAuthenticated, checkListOwnership } = require('../middleware/auth');
+const { listRules } = require('../middleware/validation');
+const activity = require('../services/activity');
+
+/**
+ * GET /lists
+ * Display all lists for the authenticated user
+ * Built-in lists are created here for users registered before lists existed
+ */
+router.get('/', isAuthenticated, async (req, res) => {
+  try {
+    await List.ensureBuiltIns(req.user._id);
+
+    // Built-in lists first, then custom lists in creation order
+    const lists = await List.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    lists.sort((a, b) => Number(b.isBuiltIn) - Number(a.isBuiltIn));
+
+    res.render('lists', {
+      title: 'My Lists',
+      lists: lists
+    });
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error fetching lists');
+    res.redirect('/movies');
+  }
+});
+
+/**
+ * GET /lists/add
+ * Display the form to create a new list
+ */
+router.get('/add', isAuthenticated, (req, res) => {
+  res.render('addList', {
+    title: 'New List'
+  });
+});
+
+/**
+ * POST /lists/add
+ * Handle new list creation with validation
+ */
+router.post('/add', isAuthenticated, listRules, async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('addList', {
+      title: 'New List',
+      errors: errors.array(),
+      formData: req.body
+    });
+  }
+
+  try {
+    const list = await List.create({
+      name: req.body.name,
+      description: req.body.description || '',
+      userId: req.user._id
+    });
+
+    req.flash('success_msg', `List "${list.name}" created`);
+    res.redirect(`/lists/${list._id}`);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error creating list');
+    res.redirect('/lists/add');
+  }
+});
+
+/**
+ * GET /lists/edit/:id
+ * Display the form to rename a list
+ * Requires ownership verification
+ */
+router.get('/edit/:id', isAuthenticated, checkListOwnership, (req, res) => {
+  res.render('editList', {
+    title: 'Edit List',
+    list: req.list
+  });
+});
+
+/**
+ * POST /lists/edit/:id
+ * Handle list update with validation
+ * Built-in lists keep their name; only the description can change
+ */
+router.post('/edit/:id', isAuthenticated, checkListOwnership, listRules, async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('editList', {
+      title: 'Edit List',
+      errors: errors.array(),
+      list: req.list,
+      formData: req.body
+    });
+  }
+
+  try {
+    if (!req.list.isBuiltIn) {
+      req.list.name = req.body.name;
+    }
+    req.list.description = req.body.description || '';
+    await req.list.save();
+
+    req.flash('success_msg', 'List updated successfully');
+    res.redirect(`/lists/${req.list._id}`);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error updating list');
+    res.redirect(`/lists/edit/${req.params.id}`);
+  }
+});
+
+/**
+ * POST /lists/delete/:id
+ * Delete a custom list (the movies themselves are kept, its feed activity is not)
+ * Requires ownership verification
+ */
+router.post('/delete/:id', isAuthenticated, checkListOwnership, async (req, res) => {
+  try {
+    if (req.list.isBuiltIn) {
+      req.flash('error_msg', `"${req.list.name}" is a built-in list and cannot be deleted`);
+      return res.redirect(`/lists/${req.list._id}`);
+    }
+
+    await req.list.deleteOne();
+    await Activity.deleteMany({ listId: req.list._id });
+
+    req.flash('success_msg', `"${req.list.name}" deleted successfully`);
+    res.redirect('/lists');
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error deleting list');
+    res.redirect('/lists');
+  }
+});
+
+/**
+ * POST /lists/add-movie
+ * Add one of the user's movies to the end of a list
+ * Body: listId, movieId (both must belong to the user)
+ */
+router.post('/add-movie', isAuthenticated, async (req, res) => {
+  const { listId, movieId } = req.body;
+  const back = mongoose.isValidObjectId(movieId) ? `/movies/${movieId}` : '/movies';
+
+  try {
+    const [list, movie] = mongoose.isValidObjectId(listId) && mongoose.isValidObjectId(movieId)
+      ? await Promise.all([
+        List.findOne({ _id: listId, userId: req.user._id }),
+        Movie.findOne({ _id: movieId, userId: req.user._id })
+      ])
+      : [null, null];
+
+    if (!list || !movie) {
+      req.flash('error_msg', 'List or movie not found');
+      return res.redirect(back);
+    }
+
+    // $addToSet keeps a movie from appearing twice in the same list
+    const result = await List.updateOne(
+      { _id: list._id },
+      { $addToSet: { movies: movie._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      req.flash('error_msg', `"${movie.name}" is already in ${list.name}`);
+    } else {
+      await activity.recordListAdds(req.user, list, [movie]);
+      req.flash('success_msg', `Added "${movie.name}" to ${list.name}`);
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error adding movie to list');
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /lists/:id/movies/:movieId/remove
+ * Remove a movie from a list
+ * Returns to the page named by "returnTo" (the list or the movie)
+ */
+router.post('/:id/movies/:movieId/remove', isAuthenticated, checkListOwnership, async (req, res) => {
+  const back = req.body.returnTo === 'movie'
+    ? `/movies/${req.params.movieId}`
+    : `/lists/${req.list._id}`;
+
+  try {
+    await List.updateOne(
+      { _id: req.list._id },
+      { $pull: { movies: req.params.movieId } }
+    );
+
+    req.flash('success_msg', `Removed from ${req.list.name}`);
+    res.redirect(back);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error removing movie from list');
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /lists/:id/reorder
+ * Save a new movie order (sent as JSON by drag-and-drop in main.js)
+ * Body: { order: [movieId, ...] } containing exactly the movies already in the list
+ */
+router.post('/:id/reorder', isAuthenticated, checkListOwnership, async (req, res) => {
+  try {
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const current = req.list.movies.map(id => id.toString());
+
+    // The new order must be a permutation of the current movies
+    const sameMovies = order.length === current.length &&
+      new Set(order).size === order.length &&
+      order.every(id => current.includes(id));
+
+    if (!sameMovies) {
+      return res.status(422).json({
+        error: { status: 422, message: 'Order must contain every movie in the list exactly once' }
+      });
+    }
+
+    req.list.movies = order;
+    await req.list.save();
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      error: { status: 500, message: 'Error saving list order' }
+    });
+  }
+});
+
+/**
+ * GET /lists/:id
+ * Display a list with its movies in order
+ * Requires ownership verification
+ */
+router.get('/:id', isAuthenticated, checkListOwnership, async (req, res) => {
+  try {
+    await req.list.populate('movies');
+
+    // Drop references to movies that no longer exist
+    const movies = req.list.movies.filter(Boolean);
+
+    res.render('listDetails', {
+      title: req.list.name,
+      list: req.list,
+      movies: movies
+    });
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error loading list');
+    res.redirect('/lists');
+  }
+});
+
+module.exports = router;
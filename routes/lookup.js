@@ -0,0 +1,68 @@
+/**
+ * Metadata lookup proxy routes used by the add movie autofill
+ * The browser never talks to the provider directly, so API keys stay on the server
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { isAuthenticated } = require('../middleware/auth');
+const metadata = require('../services/metadata');
+
+// Every lookup route needs a configured provider
+router.use('/lookup', isAuthenticated, (req, res, next) => {
+  if (!metadata.getProvider()) {
+    return res.status(503).json({
+      error: { status: 503, message: 'Movie lookup is not configured' }
+    });
+  }
+  next();
+});
+
+/**
+ * GET /movies/lookup?q=title
+ * Search the metadata provider by title
+ */
+router.get('/lookup', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+
+  if (query.length < 2) {
+    return res.json({ results: [] });
+  }
+
+  try {
+    const results = await metadata.searchMovies(query);
+    res.json({ results: results.slice(0, 8) });
+  } catch (err) {
+    console.error('Error in GET /movies/lookup:', err.message);
+    res.status(502).json({
+      error: { status: 502, message: 'Movie lookup failed, please fill in the details yourself' }
+    });
+  }
+});
+
+/**
+ * GET /movies/lookup/:id
+ * Full details for one provider movie, with genres mapped onto the app's genres
+ */
+router.get('/lookup/:id', async (req, res) => {
+  try {
+    const movie = await metadata.movieDetails(req.params.id);
+
+    if (!movie) {
+      return res.status(404).json({
+        error: { status: 404, message: 'Movie not found' }
+      });
+    }
+
+    res.json({ movie });
+  } catch (err) {
+    console.error('Error in GET /movies/lookup/:id:', err.message);
+    res.status(502).json({
+      error: { status: 502, message: 'Movie lookup failed, please fill in the details yourself' }
+    });
+  }
+});
+
+module.exports = router;
@@ -8,31 +8,76 @@
 
 const express = require('express');
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
 
 const Movie = require('../models/Movie');
+const User = require('../models/User');
+const List = require('../models/List');
+const Genre = require('../models/Genre');
+const { watchStatuses } = Movie;
 const { isAuthenticated, checkMovieOwnership } = require('../middleware/auth');
+const { movieRules, movieFields } = require('../middleware/validation');
+const { coverUpload } = require('../middleware/upload');
+const { resolveCover, removeCover } = require('../services/coverStorage');
+const { searchTerms, highlight } = require('../utils/text');
+const { pageUrlFor } = require('../utils/pagination');
+const metadata = require('../services/metadata');
+const recommendations = require('../services/recommendations');
+const { trashMovie } = require('../services/trash');
+const reviews = require('../services/reviews');
+const realtime = require('../services/realtime');
+const { visibilityLevels, generateShareToken, shareUrl } = require('../utils/share');
+
+// Query-string keys that count as an active filter
+const filterKeys = ['q', 'name', 'genre', 'tag', 'status', 'minYear', 'maxYear', 'minRating', 'maxRating'];
+
+// Versions listed in the details page History panel
+const REVISIONS_SHOWN = 20;
 
-// Available genres for validation and display
-const availableGenres = [
-  'Action', 'Comedy', 'Drama', 'Horror', 
-  'Sci-Fi', 'Romance', 'Thriller', 'Fantasy'
-];
+/**
+ * Choices for the bulk action toolbar on the movie list and filter page
+ * @param {ObjectId} userId - Logged-in user
+ * @returns {Promise<Object>} - { availableGenres, userLists }
+ */
+async function bulkChoices(userId) {
+  await List.ensureBuiltIns(userId);
+  const [availableGenres, userLists] = await Promise.all([
+    Genre.names(),
+    List.find({ userId }).sort({ createdAt: 1 }).select('name')
+  ]);
+  return { availableGenres, userLists };
+}
 
 /**
  * GET /movies
- * Display all movies for the authenticated user
- * Sorted by creation date (newest first)
+ * Display one page of the authenticated user's movies
+ * Query: status (unwatched, in-progress, watched), sort (name, year, rating, createdAt),
+ * dir (asc, desc), page, limit
+ * Defaults come from the user's display preferences (newest first, 12 per page)
  */
 router.get('/', isAuthenticated, async (req, res) => {
   try {
-    // Fetch all movies belonging to the logged-in user
-    const movies = await Movie.find({ userId: req.user._id })
-      .sort({ createdAt: -1 });
+    const filter = Movie.buildFilter(req.user._id, { status: req.query.status });
+    const options = Movie.parseListOptions(req.query, req.user.preferences);
+    const [{ movies, pagination }, choices] = await Promise.all([
+      Movie.findPage(filter, options),
+      bulkChoices(req.user._id)
+    ]);
 
     res.render('movies', {
       title: 'My Movies',
-      movies: movies
+      movies: movies,
+      pagination: pagination,
+      pageUrl: pageUrlFor(req),
+      sortFields: Movie.sortFields,
+      watchStatuses: watchStatuses,
+      status: filter.status || 'all',
+      ...choices,
+      // Bulk actions come back to this page
+      returnTo: req.originalUrl,
+      // Movies added in another tab are shown at the top of the newest-first first page
+      liveInsert: pagination.sort === 'createdAt' && pagination.dir === 'desc' &&
+        pagination.page === 1 && !filter.status
     });
   } catch (err) {
     console.error(err);
@@ -43,20 +88,44 @@ router.get('/', isAuthenticated, async (req, res) => {
 
 /**
  * GET /movies/filter
- * Display the filter page with all movies
- * Users can then apply filters using the form
+ * Display the filter page, filtering by the query string so results can be bookmarked
+ * Filters: q (full-text search), name, genre, status, minYear, maxYear, minRating, maxRating
+ * Also accepts the sort and page options of GET /movies
+ * Search results are ranked by relevance and matches are highlighted
  */
 router.get('/filter', isAuthenticated, async (req, res) => {
   try {
-    // Fetch all movies for initial display
-    const movies = await Movie.find({ userId: req.user._id })
-      .sort({ createdAt: -1 });
+    // Build filter object dynamically based on provided criteria
+    const filter = Movie.buildFilter(req.user._id, req.query);
+    const filtered = filterKeys.some(key => req.query[key] && req.query[key] !== 'all');
+
+    const options = Movie.parseListOptions(req.query, req.user.preferences);
+    const [{ movies, pagination }, choices, userTags] = await Promise.all([
+      Movie.findPage(filter, options),
+      bulkChoices(req.user._id),
+      Movie.distinct('tags', { userId: req.user._id })
+    ]);
+
+    // Relevance is only a sort option while searching
+    const terms = searchTerms(req.query.q);
+    const sortFields = terms.length > 0
+      ? ['relevance'].concat(Movie.sortFields)
+      : Movie.sortFields;
 
     res.render('filterMovies', {
-      title: 'Filter Movies',
+      title: filtered ? 'Filtered Movies' : 'Filter Movies',
       movies: movies,
-      filtered: false,
-      availableGenres: availableGenres
+      filtered: filtered,
+      filters: req.query,
+      pagination: pagination,
+      pageUrl: pageUrlFor(req),
+      sortFields: sortFields,
+      searchTerms: terms,
+      highlight: highlight,
+      ...choices,
+      userTags: userTags.sort(),
+      watchStatuses: watchStatuses,
+      returnTo: req.originalUrl
     });
   } catch (err) {
     console.error('Error in GET /movies/filter:', err);
@@ -67,149 +136,110 @@ router.get('/filter', isAuthenticated, async (req, res) => {
 
 /**
  * POST /movies/filter
- * Handle movie filtering based on user-submitted criteria
- * Filters: name, genre, year range, rating range
+ * Kept for old bookmarks and forms: redirects to the GET filter URL
  */
-router.post('/filter', isAuthenticated, async (req, res) => {
-  try {
-    
-    const { name, genre, minYear, maxYear, minRating, maxRating } = req.body;
-    
-    // Build filter object dynamically based on provided criteria
-    let filter = { userId: req.user._id };
-    
-    // Case-insensitive name search using regex
-    if (name) {
-      filter.name = { $regex: name, $options: 'i' };
-    }
-    
-    // Filter by genre (if not "all")
-    if (genre && genre !== 'all') {
-      filter.genres = genre;
-    }
-    
-    // Filter by year range
-    if (minYear || maxYear) {
-      filter.year = {};
-      if (minYear) filter.year.$gte = parseInt(minYear);
-      if (maxYear) filter.year.$lte = parseInt(maxYear);
-    }
-    
-    // Filter by rating range
-    if (minRating || maxRating) {
-      filter.rating = {};
-      if (minRating) filter.rating.$gte = parseFloat(minRating);
-      if (maxRating) filter.rating.$lte = parseFloat(maxRating);
-    }
-
-    // Execute filter query
-    const movies = await Movie.find(filter).sort({ createdAt: -1 });
+router.post('/filter', isAuthenticated, (req, res) => {
+  const params = new URLSearchParams();
+  filterKeys.concat(['sort', 'dir', 'limit']).forEach(key => {
+    if (req.body[key]) params.set(key, req.body[key]);
+  });
+  res.redirect(`/movies/filter?${params}`);
+});
 
-    res.render('filterMovies', {
-      title: 'Filtered Movies',
-      movies: movies,
-      filtered: true,
-      filters: req.body,
-      availableGenres: availableGenres
+/**
+ * GET /movies/add
+ * Display the form to add a new movie
+ */
+router.get('/add', isAuthenticated, async (req, res) => {
+  try {
+    res.render('addMovie', {
+      title: 'Add New Movie',
+      availableGenres: await Genre.names(),
+      visibilityLevels: visibilityLevels,
+      watchStatuses: watchStatuses,
+      autofill: Boolean(metadata.getProvider())
     });
-    
   } catch (err) {
-    console.error('Error in POST /movies/filter:', err);
-    req.flash('error_msg', 'Error filtering movies');
-    res.redirect('/movies/filter');
+    console.error(err);
+    req.flash('error_msg', 'Error loading the add movie form');
+    res.redirect('/movies');
   }
 });
 
 /**
- * GET /movies/add
- * Display the form to add a new movie
+ * GET /movies/tags?q=text
+ * The user's tags containing the text, for the tag autocomplete on the movie forms
  */
-router.get('/add', isAuthenticated, (req, res) => {
-  res.render('addMovie', {
-    title: 'Add New Movie',
-    availableGenres: availableGenres
-  });
+router.get('/tags', isAuthenticated, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim().toLowerCase();
+    const tags = await Movie.distinct('tags', { userId: req.user._id });
+
+    res.json({
+      tags: tags
+        .filter(tag => tag.includes(query))
+        .sort((a, b) => Number(!b.startsWith(query)) - Number(!a.startsWith(query)) || a.localeCompare(b))
+        .slice(0, 10)
+    });
+  } catch (err) {
+    console.error('Error in GET /movies/tags:', err);
+    res.status(500).json({
+      error: { status: 500, message: 'Error loading tags' }
+    });
+  }
 });
 
 /**
  * POST /movies/add
  * Handle new movie creation with validation
- * Validates: name, description (10+ chars), year (1900-2025), genres, rating (1-10)
+ * Validates: name, description (10+ chars), year (1900-2025), genres, tags, rating (1-10)
+ * Accepts multipart form data with an optional "coverFile" image upload
  */
-router.post('/add', isAuthenticated, [
-  // Validation rules
-  check('name', 'Movie name is required').not().isEmpty().trim().escape(),
-  check('description', 'Description must be at least 10 characters')
-    .isLength({ min: 10 }).trim().escape(),
-  check('year', 'Please enter a valid year between 1900 and 2025')
-    .isInt({ min: 1900, max: 2025 }),
-  check('genres', 'Please select at least one genre')
-    .custom((value) => {
-      if (!value) return false;
-      if (Array.isArray(value)) return value.length > 0;
-      return typeof value === 'string' && value.trim().length > 0;
-    }),
-  check('rating', 'Please enter a rating between 1 and 10')
-    .isFloat({ min: 1, max: 10 }),
-  check('coverImage')
-    .custom((value) => {
-      if (!value || value.trim() === '') return true;
-
-      try {
-        new URL(value);
-        return true;
-      } catch (e) {
-        throw new Error('Please enter a valid image URL');
-      }
-    }),
-    
-], async (req, res) => {
+router.post('/add', isAuthenticated, coverUpload, movieRules, async (req, res) => {
   const errors = validationResult(req);
   
   // If validation fails, re-render form with errors
   if (!errors.isEmpty()) {
-    return res.render('addMovie', {
-      title: 'Add New Movie',
-      errors: errors.array(),
-      availableGenres: availableGenres,
-      formData: req.body
-    });
+    try {
+      return res.render('addMovie', {
+        title: 'Add New Movie',
+        errors: errors.array(),
+        availableGenres: await Genre.names(),
+        visibilityLevels: visibilityLevels,
+        watchStatuses: watchStatuses,
+        autofill: Boolean(metadata.getProvider()),
+        formData: req.body
+      });
+    } catch (err) {
+      console.error(err);
+      req.flash('error_msg', 'Error loading the add movie form');
+      return res.redirect('/movies');
+    }
   }
 
+  let cover;
   try {
-    const { name, description, year, genres, rating, coverImage } = req.body;
-    
-    // Ensure genres are valid
-    const validGenres = Array.isArray(genres) 
-      ? genres.filter(genre => availableGenres.includes(genre))
-      : [genres].filter(genre => availableGenres.includes(genre));
-
-    // Use default image if none provided
-    const DEFAULT_IMAGE_URL = "https://letsenhance.io/static/73136da51c245e80edc6ccfe44888a99/396e9/MainBefore.jpg";
-
-    let movieCoverImage =
-      coverImage && coverImage.trim() !== ""
-        ? coverImage.trim()
-        : DEFAULT_IMAGE_URL;
+    // Store an uploaded cover (with thumbnails) or fall back to the URL/default image
+    cover = await resolveCover(req);
 
     // Create new movie document
     const newMovie = new Movie({
-      name,
-      description,
-      year: parseInt(year),
-      genres: validGenres,
-      rating: parseFloat(rating),
-      coverImage: movieCoverImage,
+      ...movieFields(req.body),
+      ...cover.fields,
       userId: req.user._id // Links movie to authenticated user
     });
 
     await newMovie.save();
+    recommendations.invalidate(req.user._id);
+    // Other open tabs add the movie to their list
+    realtime.publish(req.user._id, 'movie-added', { id: newMovie.id, name: newMovie.name });
     
     req.flash('success_msg', 'Movie added successfully');
     res.redirect('/movies');
     
   } catch (err) {
     console.error(err);
+    if (cover) await removeCover(cover.created);
     req.flash('error_msg', 'Error adding movie');
     res.redirect('/movies/add');
   }
@@ -232,7 +262,9 @@ router.get('/edit/:id', isAuthenticated, checkMovieOwnership, async (req, res) =
     res.render('editMovie', {
       title: 'Edit Movie',
       movie: movie,
-      availableGenres: availableGenres
+      availableGenres: await Genre.names(),
+      visibilityLevels: visibilityLevels,
+      watchStatuses: watchStatuses
     });
   } catch (err) {
     console.error(err);
@@ -245,39 +277,10 @@ router.get('/edit/:id', isAuthenticated, checkMovieOwnership, async (req, res) =
  * POST /movies/edit/:id
  * Handle movie update with validation
  * Requires ownership verification
+ * Replacing or removing an uploaded cover deletes the old files
+ * The previous values are kept as a revision (see the History panel on the details page)
  */
-router.post('/edit/:id', isAuthenticated, checkMovieOwnership, [
-  // Validation rules (same as add)
-  check('name', 'Movie name is required').not().isEmpty().trim().escape(),
-  check('description', 'Description must be at least 10 characters')
-    .isLength({ min: 10 }).trim().escape(),
-  check('year', 'Please enter a valid year between 1900 and 2025')
-    .isInt({ min: 1900, max: 2025 }),
-  check('genres', 'Please select at least one genre')
-    .custom((value) => {
-      if (!value) return false;
-      if (Array.isArray(value)) {
-        return value.length > 0;
-      }
-
-      return typeof value === 'string' && value.trim().length > 0;
-    }),
-    
-  check('rating', 'Please enter a rating between 1 and 10')
-    .isFloat({ min: 1, max: 10 }),
-  check('coverImage')
-    .custom((value) => {
-      if (!value || value.trim() === '') return true;
-
-      try {
-        new URL(value);
-        return true;
-      } catch (e) {
-        throw new Error('Please enter a valid image URL');
-      }
-    }),
-    
-], async (req, res) => {
+router.post('/edit/:id', isAuthenticated, checkMovieOwnership, coverUpload, movieRules, async (req, res) => {
   const errors = validationResult(req);
   
   // If validation fails, re-render form with errors
@@ -289,7 +292,9 @@ router.post('/edit/:id', isAuthenticated, checkMovieOwnership, [
         title: 'Edit Movie',
         errors: errors.array(),
         movie: movie,
-        availableGenres: availableGenres,
+        availableGenres: await Genre.names(),
+        visibilityLevels: visibilityLevels,
+        watchStatuses: watchStatuses,
         formData: req.body
       });
     } catch (err) {
@@ -299,37 +304,28 @@ router.post('/edit/:id', isAuthenticated, checkMovieOwnership, [
     }
   }
 
+  let cover;
   try {
-    const { name, description, year, genres, rating, coverImage } = req.body;
-    
-    // Ensure genres are valid
-    const validGenres = Array.isArray(genres) 
-      ? genres.filter(genre => availableGenres.includes(genre))
-      : [genres].filter(genre => availableGenres.includes(genre));
+    cover = await resolveCover(req, req.movie);
 
-    // Use default image if none provided
-    const DEFAULT_IMAGE_URL = "https://letsenhance.io/static/73136da51c245e80edc6ccfe44888a99/396e9/MainBefore.jpg";
-    
-    let movieCoverImage =
-      coverImage && coverImage.trim() !== ""
-        ? coverImage.trim()
-        : DEFAULT_IMAGE_URL;
-
-    // Update movie in database
-    await Movie.findByIdAndUpdate(req.params.id, {
-      name,
-      description,
-      year: parseInt(year),
-      genres: validGenres,
-      rating: parseFloat(rating),
-      coverImage: movieCoverImage
-    });
+    // Update the loaded movie so the change is recorded in its history
+    req.movie.set({ ...movieFields(req.body), ...cover.fields });
+    await req.movie.save();
+
+    // Store a share token for movies created before sharing existed
+    await req.movie.ensureShareToken();
+
+    // Remove the previous upload once nothing references it
+    await removeCover(cover.stale);
+    recommendations.invalidate(req.user._id);
+    realtime.publish(req.user._id, 'movie-updated', { id: req.movie.id, name: req.movie.name });
 
     req.flash('success_msg', 'Movie updated successfully');
     res.redirect('/movies');
     
   } catch (err) {
     console.error(err);
+    if (cover) await removeCover(cover.created);
     req.flash('error_msg', 'Error updating movie');
     res.redirect(`/movies/edit/${req.params.id}`);
   }
@@ -337,15 +333,16 @@ router.post('/edit/:id', isAuthenticated, checkMovieOwnership, [
 
 /**
  * POST /movies/delete/:id
- * Handle movie deletion
+ * Move a movie to the trash (restorable until it is purged, see routes/trash.js)
  * Requires ownership verification
  */
 router.post('/delete/:id', isAuthenticated, checkMovieOwnership, async (req, res) => {
   try {
-    const movie = await Movie.findById(req.params.id);
-    await Movie.findByIdAndDelete(req.params.id);
+    await trashMovie(req.movie);
     
-    req.flash('success_msg', `"${movie.name}" deleted successfully`);
+    req.flash('success_msg', `"${req.movie.name}" moved to the trash`);
+    // Shown as an "Undo" button next to the message
+    req.flash('undo', `/movies/trash/${req.movie._id}/restore`);
     res.redirect('/movies');
     
   } catch (err) {
@@ -355,31 +352,163 @@ router.post('/delete/:id', isAuthenticated, checkMovieOwnership, async (req, res
   }
 });
 
+/**
+ * GET /movies/sharing
+ * Display collection sharing settings and share links
+ */
+router.get('/sharing', isAuthenticated, async (req, res) => {
+  try {
+    const token = await req.user.ensureShareToken();
+
+    res.render('sharing', {
+      title: 'Sharing Settings',
+      visibilityLevels: visibilityLevels,
+      watchStatuses: watchStatuses,
+      collectionLink: shareUrl(req, `/share/collection/${token}`),
+      profileLink: shareUrl(req, `/profile/${req.user._id}`)
+    });
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error loading sharing settings');
+    res.redirect('/movies');
+  }
+});
+
+/**
+ * POST /movies/sharing
+ * Update who can see the user's collection
+ */
+router.post('/sharing', isAuthenticated, async (req, res) => {
+  try {
+    const { collectionVisibility } = req.body;
+
+    if (!visibilityLevels.includes(collectionVisibility)) {
+      req.flash('error_msg', 'Please choose a valid visibility');
+      return res.redirect('/movies/sharing');
+    }
+
+    req.user.collectionVisibility = collectionVisibility;
+    await req.user.save();
+
+    req.flash('success_msg', 'Sharing settings updated');
+    res.redirect('/movies/sharing');
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error updating sharing settings');
+    res.redirect('/movies/sharing');
+  }
+});
+
+/**
+ * POST /movies/sharing/reset
+ * Replace the collection share link so the old one stops working
+ */
+router.post('/sharing/reset', isAuthenticated, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { shareToken: generateShareToken() });
+
+    req.flash('success_msg', 'A new collection share link was created');
+    res.redirect('/movies/sharing');
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error resetting share link');
+    res.redirect('/movies/sharing');
+  }
+});
+
+/**
+ * POST /movies/share/:id/reset
+ * Replace a movie's share link so the old one stops working
+ * Requires ownership verification
+ */
+router.post('/share/:id/reset', isAuthenticated, checkMovieOwnership, async (req, res) => {
+  try {
+    await Movie.findByIdAndUpdate(req.params.id, { shareToken: generateShareToken() });
+
+    req.flash('success_msg', 'A new share link was created');
+    res.redirect(`/movies/${req.params.id}`);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error resetting share link');
+    res.redirect(`/movies/${req.params.id}`);
+  }
+});
+
+/**
+ * GET /movies/:id/card
+ * One card of the movie list, without the page around it
+ * Fetched by main.js to add or refresh a card after a live update from another tab
+ */
+router.get('/:id/card', isAuthenticated, checkMovieOwnership, (req, res) => {
+  res.render('movieCard', { movie: req.movie });
+});
+
 /**
  * GET /movies/:id
  * Display detailed information about a single movie
- * Only accessible by the movie owner
+ * Owners see every movie; anyone else only public movies, read-only
+ * Admins can view any movie (read-only) for moderation
  */
-router.get('/:id', isAuthenticated, async (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    // Fetch movie only if it belongs to the logged-in user
-    const movie = await Movie.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const movie = await Movie.findById(req.params.id)
+      .populate('userId', 'name collectionVisibility disabled');
 
-    if (!movie) {
+    // Check if user is the owner
+    const isOwner = Boolean(movie && req.user && movie.userId &&
+      movie.userId._id.toString() === req.user._id.toString());
+
+    const isAdmin = Boolean(req.user && req.user.hasRole('admin'));
+
+    // Disabled accounts' movies are hidden like private ones
+    const hidden = movie && (movie.visibility !== 'public' || (movie.userId && movie.userId.disabled));
+
+    if (!movie || (!isOwner && !isAdmin && hidden)) {
+      if (!req.user) {
+        req.flash('error_msg', 'Please log in to view that resource');
+        return res.redirect('/users/login');
+      }
       req.flash('error_msg', 'Movie not found');
       return res.redirect('/movies');
     }
 
-    // Check if user is the owner
-    const isOwner = movie.userId.toString() === req.user._id.toString();
+    const token = isOwner ? await movie.ensureShareToken() : movie.shareToken;
+
+    // The owner's lists, for the "Add to list" form and list membership
+    let lists = [];
+    if (isOwner) {
+      await List.ensureBuiltIns(req.user._id);
+      lists = await List.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    }
+
+    // "You might also like" - a failure here shouldn't hide the movie
+    const similar = req.user
+      ? await recommendations.similarTo(req.user._id, movie).catch(err => {
+        console.error('Error loading similar movies:', err);
+        return [];
+      })
+      : [];
+
+    // Edit history for the owner (and admins, read-only)
+    const revisions = isOwner || isAdmin ? await movie.revisions(REVISIONS_SHOWN) : [];
+
+    // Community reviews with their comment threads
+    const community = await reviews.forMovie(movie, req.user);
 
     res.render('movieDetails', {
       title: 'Movie Details',
       movie,
-      isOwner
+      isOwner,
+      shareLink: shareUrl(req, `/share/movie/${token}`),
+      inLists: lists.filter(list => list.movies.some(id => id.equals(movie._id))),
+      otherLists: lists.filter(list => !list.movies.some(id => id.equals(movie._id))),
+      watchStatuses: watchStatuses,
+      similar: similar,
+      revisions: revisions,
+      revisionLimit: REVISIONS_SHOWN,
+      community: community,
+      // Default date for the "Log a viewing" form
+      today: new Date().toISOString().slice(0, 10)
     });
   } catch (err) {
     console.error(err);
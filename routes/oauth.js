@@ -0,0 +1,280 @@
+/**
+ * Login with OAuth 2.0 / OpenID Connect providers (see config/oauth.js)
+ * Provider accounts are matched to users by their linked identity, or else by a
+ * verified email; users connect and disconnect providers from their profile
+ * Mounted at /users/oauth
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/User');
+const List = require('../models/List');
+const authConfig = require('../config/auth');
+const oauthConfig = require('../config/oauth');
+const { isAuthenticated } = require('../middleware/auth');
+const oauth = require('../services/oauth');
+const mailer = require('../services/mailer');
+const { rememberLogin, beginTwoFactorLogin } = require('../services/accounts');
+const audit = require('../services/audit');
+
+// Load the configured provider for :provider routes
+router.param('provider', (req, res, next, id) => {
+  req.provider = oauth.getProvider(id);
+
+  if (!req.provider) {
+    req.flash('error_msg', 'That login provider is not available');
+    return res.redirect(req.user ? '/users/profile' : '/users/login');
+  }
+  next();
+});
+
+/**
+ * Callback address registered with the provider
+ */
+function callbackUrl(req) {
+  return mailer.linkUrl(req, `/users/oauth/${req.provider.id}/callback`);
+}
+
+/**
+ * Send the browser to the provider, keeping what the callback needs in the session
+ * @param {string} mode - 'login' or 'link'
+ * @param {boolean} remember - Whether "Remember me" was ticked (login only)
+ */
+async function redirectToProvider(req, res, mode, remember) {
+  const { url, pending } = await oauth.beginLogin(req.provider.id, callbackUrl(req));
+
+  req.session.oauth = {
+    ...pending,
+    provider: req.provider.id,
+    mode,
+    remember: Boolean(remember),
+    expiresAt: Date.now() + oauthConfig.stateTtlMinutes * 60 * 1000
+  };
+  res.redirect(url);
+}
+
+/**
+ * The user a provider login belongs to: the linked account, or else an existing
+ * account with the same verified email (which gets linked), or else a new account
+ * @returns {Promise<Object>} - { user } or { error } to show on the login page
+ */
+async function findOrCreateUser(req, profile) {
+  const provider = req.provider;
+  const linked = await User.findByIdentity(provider.id, profile.subject);
+  if (linked) return { user: linked };
+
+  // Without a verified email there's nothing safe to match or create an account with
+  if (!profile.email || !profile.emailVerified) {
+    return { error: `Your ${provider.name} account has no verified email address, so it can't be used to log in` };
+  }
+
+  const existing = await User.findOne({ email: profile.email });
+  if (existing) {
+    // The address was never proven on this side, so it could belong to someone
+    // who registered it without owning it; the owner must link from their profile
+    if (!existing.emailVerified) {
+      return {
+        error: `An account with this email exists but its address isn't verified. ` +
+          `Log in with your password and connect ${provider.name} from your profile.`
+      };
+    }
+
+    existing.linkIdentity(provider.id, profile);
+    await existing.save();
+    await audit.record(req, 'provider-linked', {
+      user: existing,
+      details: { provider: provider.id, matchedBy: 'email' }
+    });
+    return { user: existing };
+  }
+
+  const user = await User.create({
+    name: profile.name || profile.email.split('@')[0],
+    email: profile.email,
+    password: null,
+    emailVerified: true,
+    identities: [{ provider: provider.id, subject: profile.subject, email: profile.email }]
+  });
+  // Every account starts with a Watchlist and Favourites list
+  await List.ensureBuiltIns(user._id);
+  await audit.record(req, 'account-created', { user, details: { provider: provider.id } });
+  return { user };
+}
+
+/**
+ * Log in with the provider account from the callback
+ */
+async function loginWithProfile(req, res, next, profile, remember) {
+  const provider = req.provider;
+  const { user, error } = await findOrCreateUser(req, profile);
+
+  if (error) {
+    await audit.record(req, 'login-failed', {
+      email: profile.email,
+      details: { reason: 'provider-email', method: provider.id }
+    });
+    req.flash('error_msg', error);
+    return res.redirect('/users/login');
+  }
+
+  if (user.disabled) {
+    await audit.record(req, 'login-failed', { user, details: { reason: 'disabled', method: provider.id } });
+    req.flash('error_msg', 'This account has been disabled');
+    return res.redirect('/users/login');
+  }
+
+  // Same rule as password logins (see config/auth.js)
+  if (!user.emailVerified && authConfig.emailVerification === 'block') {
+    await audit.record(req, 'login-failed', { user, details: { reason: 'unverified', method: provider.id } });
+    req.flash('error_msg', 'Please verify your email address before logging in. Check your inbox or request a new link.');
+    return res.redirect('/users/login');
+  }
+
+  // The provider stands in for the password; 2FA still applies
+  if (user.twoFactor.enabled) {
+    beginTwoFactorLogin(req, user, { remember, method: provider.id });
+    return res.redirect('/users/login/2fa');
+  }
+
+  req.logIn(user, async (err) => {
+    if (err) {
+      return next(err);
+    }
+    rememberLogin(req, remember);
+    await audit.record(req, 'login', { details: { method: provider.id, remember } });
+    res.redirect('/movies');
+  });
+}
+
+/**
+ * Connect the provider account from the callback to the logged-in user
+ */
+async function linkProfile(req, res, profile) {
+  const provider = req.provider;
+  const owner = await User.findByIdentity(provider.id, profile.subject);
+
+  if (owner && !owner._id.equals(req.user._id)) {
+    req.flash('error_msg', `That ${provider.name} account is already connected to another user`);
+    return res.redirect('/users/profile');
+  }
+
+  req.user.linkIdentity(provider.id, profile);
+  await req.user.save();
+  await audit.record(req, 'provider-linked', { details: { provider: provider.id } });
+
+  req.flash('success_msg', `${provider.name} connected. You can now log in with it.`);
+  res.redirect('/users/profile');
+}
+
+/**
+ * POST /users/oauth/:provider
+ * Start logging in (or signing up) with a provider
+ * Body: remember (keep the session for longer)
+ */
+router.post('/:provider', async (req, res) => {
+  try {
+    await redirectToProvider(req, res, 'login', req.body.remember);
+  } catch (err) {
+    console.error('Error in POST /users/oauth/:provider:', err);
+    req.flash('error_msg', `Could not reach ${req.provider.name}, please try again later`);
+    res.redirect('/users/login');
+  }
+});
+
+/**
+ * POST /users/oauth/:provider/link
+ * Start connecting a provider to the logged-in user's account
+ */
+router.post('/:provider/link', isAuthenticated, async (req, res) => {
+  try {
+    await redirectToProvider(req, res, 'link', false);
+  } catch (err) {
+    console.error('Error in POST /users/oauth/:provider/link:', err);
+    req.flash('error_msg', `Could not reach ${req.provider.name}, please try again later`);
+    res.redirect('/users/profile');
+  }
+});
+
+/**
+ * GET /users/oauth/:provider/callback
+ * The provider sends the browser back here with a code (or an error)
+ * Query: code, state, error
+ */
+router.get('/:provider/callback', async (req, res, next) => {
+  const pending = req.session.oauth;
+  // A sign-in attempt can only be completed once
+  delete req.session.oauth;
+
+  const linking = Boolean(pending && pending.mode === 'link');
+  const back = linking ? '/users/profile' : '/users/login';
+
+  if (!pending || pending.provider !== req.provider.id || pending.expiresAt < Date.now() ||
+      req.query.state !== pending.state) {
+    req.flash('error_msg', 'That sign-in attempt has expired or is invalid, please try again');
+    return res.redirect(back);
+  }
+
+  // Cancelled or refused at the provider
+  if (req.query.error) {
+    req.flash('error_msg', `${req.provider.name} sign-in was cancelled`);
+    return res.redirect(back);
+  }
+
+  if (linking && !req.user) {
+    req.flash('error_msg', 'Please log in to connect an account');
+    return res.redirect('/users/login');
+  }
+
+  try {
+    const profile = await oauth.completeLogin(req.provider.id, {
+      code: req.query.code,
+      redirectUri: callbackUrl(req),
+      pending
+    });
+
+    if (linking) {
+      return await linkProfile(req, res, profile);
+    }
+    await loginWithProfile(req, res, next, profile, pending.remember);
+  } catch (err) {
+    console.error('Error in GET /users/oauth/:provider/callback:', err);
+    req.flash('error_msg', `Could not sign in with ${req.provider.name}, please try again`);
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /users/oauth/:provider/unlink
+ * Disconnect a provider (refused if it is the user's only way to log in)
+ */
+router.post('/:provider/unlink', isAuthenticated, async (req, res) => {
+  const provider = req.provider;
+
+  try {
+    if (!req.user.identityFor(provider.id)) {
+      req.flash('error_msg', `${provider.name} is not connected`);
+      return res.redirect('/users/profile');
+    }
+
+    if (!req.user.canUnlink(provider.id)) {
+      req.flash('error_msg', `Set a password or connect another provider before disconnecting ${provider.name}, ` +
+        'otherwise you could no longer log in');
+      return res.redirect('/users/profile');
+    }
+
+    req.user.identities = req.user.identities.filter(identity => identity.provider !== provider.id);
+    await req.user.save();
+    await audit.record(req, 'provider-unlinked', { details: { provider: provider.id } });
+
+    req.flash('success_msg', `${provider.name} disconnected`);
+    res.redirect('/users/profile');
+  } catch (err) {
+    console.error('Error in POST /users/oauth/:provider/unlink:', err);
+    req.flash('error_msg', `Error disconnecting ${provider.name}`);
+    res.redirect('/users/profile');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+/**
+ * Profile and account settings routes
+ * Name and email, password, display preferences and account deletion
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { check, validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const Movie = require('../models/Movie');
+const { isAuthenticated } = require('../middleware/auth');
+const { passwordRules } = require('../middleware/validation');
+const { sendVerificationEmail, deleteAccount } = require('../services/accounts');
+const audit = require('../services/audit');
+
+router.use(isAuthenticated);
+
+/**
+ * Check the current password entered on the form
+ * @returns {Promise<boolean>} - True if it matches
+ */
+function confirmPassword(req) {
+  // Accounts created through a login provider have no password to check yet
+  if (!req.user.hasPassword) return Promise.resolve(false);
+  return bcrypt.compare(String(req.body.current_password || ''), req.user.password);
+}
+
+/**
+ * Render the profile page, optionally with errors for one of its forms
+ */
+function renderProfile(req, res, extra = {}) {
+  res.render('profile', {
+    title: 'My Profile',
+    sortFields: Movie.sortFields,
+    pageSizes: Movie.pageSizes,
+    formData: { name: req.user.name, email: req.user.email },
+    ...extra
+  });
+}
+
+/**
+ * GET /users/profile
+ * Display the profile and account settings forms
+ */
+router.get('/', (req, res) => {
+  renderProfile(req, res);
+});
+
+/**
+ * POST /users/profile/details
+ * Update name and email
+ * Changing the email needs the current password and a new verification
+ */
+router.post('/details', [
+  check('name', 'Name is required').not().isEmpty().trim().escape(),
+  check('email', 'Please include a valid email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return renderProfile(req, res, { errors: errors.array(), formData: req.body });
+  }
+
+  const email = req.body.email.toLowerCase();
+  const emailChanged = email !== req.user.email;
+
+  try {
+    if (emailChanged) {
+      if (!await confirmPassword(req)) {
+        return renderProfile(req, res, {
+          errors: [{
+            msg: req.user.hasPassword
+              ? 'Please enter your current password to change your email'
+              : 'Please set a password before changing your email'
+          }],
+          formData: req.body
+        });
+      }
+
+      const taken = await User.exists({ email, _id: { $ne: req.user._id } });
+      if (taken) {
+        return renderProfile(req, res, {
+          errors: [{ msg: 'That email is already used by another account' }],
+          formData: req.body
+        });
+      }
+
+      req.user.email = email;
+      req.user.emailVerified = false;
+    }
+
+    req.user.name = req.body.name;
+    await req.user.save();
+
+    if (emailChanged) {
+      // A mail problem shouldn't undo the change; a new link can be requested later
+      try {
+        await sendVerificationEmail(req, req.user);
+      } catch (mailErr) {
+        console.error('Error sending verification email:', mailErr);
+      }
+    }
+
+    req.flash('success_msg', emailChanged
+      ? 'Profile updated. We sent a link to verify your new email address'
+      : 'Profile updated');
+    res.redirect('/users/profile');
+  } catch (err) {
+    // The unique email index catches an address taken at the same moment
+    if (err.code === 11000) {
+      return renderProfile(req, res, {
+        errors: [{ msg: 'That email is already used by another account' }],
+        formData: req.body
+      });
+    }
+    console.error('Error in POST /users/profile/details:', err);
+    req.flash('error_msg', 'Error updating profile');
+    res.redirect('/users/profile');
+  }
+});
+
+/**
+ * POST /users/profile/password
+ * Change the password (current password required), or set the first one
+ * for an account created through a login provider
+ */
+router.post('/password', [
+  check('current_password', 'Please enter your current password')
+    .if((value, { req }) => req.user.hasPassword)
+    .not().isEmpty(),
+  ...passwordRules
+], async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return renderProfile(req, res, { errors: errors.array() });
+  }
+
+  try {
+    const firstPassword = !req.user.hasPassword;
+    if (!firstPassword && !await confirmPassword(req)) {
+      return renderProfile(req, res, { errors: [{ msg: 'Current password is incorrect' }] });
+    }
+
+    req.user.password = await bcrypt.hash(req.body.password, 10);
+    // A reset link sent earlier shouldn't be able to undo this
+    req.user.resetToken = undefined;
+    await req.user.save();
+    await audit.record(req, 'password-changed', { details: firstPassword ? { firstPassword } : {} });
+
+    req.flash('success_msg', firstPassword ? 'Password set. You can now also log in with your email' : 'Password changed');
+    res.redirect('/users/profile');
+  } catch (err) {
+    console.error('Error in POST /users/profile/password:', err);
+    req.flash('error_msg', 'Error changing password');
+    res.redirect('/users/profile');
+  }
+});
+
+/**
+ * POST /users/profile/preferences
+ * Save display preferences for the movie lists
+ * Body: sort, dir ('' for the field's natural direction), perPage
+ */
+router.post('/preferences', async (req, res) => {
+  const { sort, dir } = req.body;
+  const perPage = parseInt(req.body.perPage, 10);
+
+  if (!Movie.sortFields.includes(sort) || !['', 'asc', 'desc'].includes(dir) ||
+      !Movie.pageSizes.includes(perPage)) {
+    req.flash('error_msg', 'Please choose valid display preferences');
+    return res.redirect('/users/profile');
+  }
+
+  try {
+    req.user.preferences = { sort, dir: dir || null, perPage };
+    await req.user.save();
+
+    req.flash('success_msg', 'Display preferences saved');
+    res.redirect('/users/profile');
+  } catch (err) {
+    console.error('Error in POST /users/profile/preferences:', err);
+    req.flash('error_msg', 'Error saving preferences');
+    res.redirect('/users/profile');
+  }
+});
+
+/**
+ * POST /users/profile/delete
+ * Delete the account with all of its movies and lists
+ * Confirmed with the current password, or by typing the email for accounts without one
+ */
+router.post('/delete', async (req, res, next) => {
+  try {
+    if (!req.user.hasPassword) {
+      if (String(req.body.confirm_email || '').trim().toLowerCase() !== req.user.email) {
+        req.flash('error_msg', 'The email you typed does not match, your account was not deleted');
+        return res.redirect('/users/profile');
+      }
+    } else if (!await confirmPassword(req)) {
+      req.flash('error_msg', 'Current password is incorrect, your account was not deleted');
+      return res.redirect('/users/profile');
+    }
+
+    await deleteAccount(req.user._id);
+    await audit.record(req, 'account-deleted');
+
+    req.logout((err) => {
+      if (err) {
+        return next(err);
+      }
+      req.flash('success_msg', 'Your account and all of your movies have been deleted');
+      res.redirect('/');
+    });
+  } catch (err) {
+    console.error('Error in POST /users/profile/delete:', err);
+    req.flash('error_msg', 'Error deleting account');
+    res.redirect('/users/profile');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * Recommendation routes
+ * Suggestions based on the movies the user rated highly (see services/recommendations.js)
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { isAuthenticated } = require('../middleware/auth');
+const recommendations = require('../services/recommendations');
+
+/**
+ * GET /movies/recommendations
+ * Movies the user might like: their own unwatched titles and other users' public movies
+ */
+router.get('/recommendations', isAuthenticated, async (req, res) => {
+  try {
+    const suggestions = await recommendations.forUser(req.user._id);
+
+    res.render('recommendations', {
+      title: 'Recommendations',
+      suggestions: suggestions,
+      likedRating: recommendations.LIKED_RATING
+    });
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error loading recommendations');
+    res.redirect('/movies');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,345 @@
+/**
+ * Community review routes
+ * Users review movies they can see (public, or unlisted through the share link),
+ * discuss reviews in comment threads and report content for moderation
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+
+const Movie = require('../models/Movie');
+const Review = require('../models/Review');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { isAuthenticated } = require('../middleware/auth');
+const { reviewRules, commentRules, reportRules } = require('../middleware/validation');
+const reviews = require('../services/reviews');
+const audit = require('../services/audit');
+const { canViewMovie } = require('../utils/share');
+
+/**
+ * Load the movie for :id if the user can see it
+ * Forms on the share page send the share token along (shareToken) and return there
+ */
+async function loadMovie(req, res, next) {
+  try {
+    const movie = mongoose.isValidObjectId(req.params.id)
+      ? await Movie.findById(req.params.id).populate('userId', 'disabled')
+      : null;
+    const shareToken = String(req.body.shareToken || '');
+
+    if (!movie || !canViewMovie(movie, req.user, shareToken)) {
+      req.flash('error_msg', 'Movie not found');
+      return res.redirect('/movies');
+    }
+
+    req.movie = movie;
+    req.back = shareToken && shareToken === movie.shareToken
+      ? `/share/movie/${shareToken}#reviews`
+      : `/movies/${movie._id}#reviews`;
+    next();
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error loading movie');
+    res.redirect('/movies');
+  }
+}
+
+// Load the review for :reviewId, which must belong to the movie
+async function loadReview(req, res, next) {
+  try {
+    req.review = mongoose.isValidObjectId(req.params.reviewId)
+      ? await Review.findOne({ _id: req.params.reviewId, movieId: req.movie._id })
+      : null;
+
+    if (!req.review) {
+      req.flash('error_msg', 'Review not found');
+      return res.redirect(req.back);
+    }
+    next();
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error loading review');
+    res.redirect(req.back);
+  }
+}
+
+// Load the comment for :commentId, which must be on the review and not deleted
+async function loadComment(req, res, next) {
+  try {
+    req.comment = mongoose.isValidObjectId(req.params.commentId)
+      ? await Comment.findOne({ _id: req.params.commentId, reviewId: req.review._id, deletedAt: null })
+      : null;
+
+    if (!req.comment) {
+      req.flash('error_msg', 'Comment not found');
+      return res.redirect(req.back);
+    }
+    next();
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error loading comment');
+    res.redirect(req.back);
+  }
+}
+
+const isAuthor = (req, doc) => Boolean(doc.userId && doc.userId.equals(req.user._id));
+
+/**
+ * Flash validation errors and go back to the reviews
+ * @returns {boolean} - True if the request was answered
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  req.flash('error_msg', errors.array().map(error => error.msg).join('. '));
+  res.redirect(req.back);
+  return true;
+}
+
+/**
+ * File a report about a review or comment
+ */
+async function fileReport(req, res, targetType, target) {
+  if (rejectInvalid(req, res)) return;
+
+  try {
+    if (isAuthor(req, target)) {
+      req.flash('error_msg', `You can't report your own ${targetType}`);
+      return res.redirect(req.back);
+    }
+
+    await Report.create({
+      targetType,
+      targetId: target._id,
+      movieId: req.movie._id,
+      reporterId: req.user._id,
+      reason: req.body.reason,
+      note: req.body.note || ''
+    });
+
+    req.flash('success_msg', `Thanks, the ${targetType} was reported to the moderators`);
+    res.redirect(req.back);
+  } catch (err) {
+    if (err.code === 11000) {
+      req.flash('error_msg', `You have already reported this ${targetType}`);
+      return res.redirect(req.back);
+    }
+    console.error(`Error reporting ${targetType}:`, err);
+    req.flash('error_msg', `Error reporting ${targetType}`);
+    res.redirect(req.back);
+  }
+}
+
+/**
+ * POST /movies/:id/reviews
+ * Review a movie (one review per user; owners rate their movies on the movie itself)
+ * Body: rating (1-10), body, spoiler, shareToken
+ */
+router.post('/:id/reviews', isAuthenticated, loadMovie, reviewRules, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  try {
+    if (req.movie.userId && req.movie.userId._id.equals(req.user._id)) {
+      req.flash('error_msg', 'You can\'t review your own movie; your rating is shown as the owner\'s rating');
+      return res.redirect(req.back);
+    }
+
+    await Review.create({
+      movieId: req.movie._id,
+      userId: req.user._id,
+      rating: req.body.rating,
+      body: req.body.body,
+      spoiler: Boolean(req.body.spoiler)
+    });
+
+    req.flash('success_msg', 'Review posted');
+    res.redirect(req.back);
+  } catch (err) {
+    if (err.code === 11000) {
+      req.flash('error_msg', 'You have already reviewed this movie; edit your review instead');
+      return res.redirect(req.back);
+    }
+    console.error('Error in POST /movies/:id/reviews:', err);
+    req.flash('error_msg', 'Error posting review');
+    res.redirect(req.back);
+  }
+});
+
+/**
+ * POST /movies/:id/reviews/:reviewId/edit
+ * Change a review (author only)
+ * Body: rating, body, spoiler, shareToken
+ */
+router.post('/:id/reviews/:reviewId/edit', isAuthenticated, loadMovie, loadReview, reviewRules, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  try {
+    if (!isAuthor(req, req.review)) {
+      req.flash('error_msg', 'You can only edit your own review');
+      return res.redirect(req.back);
+    }
+
+    req.review.set({
+      rating: req.body.rating,
+      body: req.body.body,
+      spoiler: Boolean(req.body.spoiler)
+    });
+    await req.review.save();
+
+    req.flash('success_msg', 'Review updated');
+    res.redirect(req.back);
+  } catch (err) {
+    console.error('Error in POST /movies/:id/reviews/:reviewId/edit:', err);
+    req.flash('error_msg', 'Error updating review');
+    res.redirect(req.back);
+  }
+});
+
+/**
+ * POST /movies/:id/reviews/:reviewId/delete
+ * Delete a review with its comments (the author, or an admin for moderation)
+ */
+router.post('/:id/reviews/:reviewId/delete', isAuthenticated, loadMovie, loadReview, async (req, res) => {
+  try {
+    const moderating = !isAuthor(req, req.review);
+    if (moderating && !req.user.hasRole('admin')) {
+      req.flash('error_msg', 'You can only delete your own review');
+      return res.redirect(req.back);
+    }
+
+    await reviews.removeReviews({ _id: req.review._id });
+    if (moderating) {
+      await audit.record(req, 'review-removed', {
+        user: await User.findById(req.review.userId),
+        details: { movieId: req.movie._id, reviewId: req.review._id }
+      });
+    }
+
+    req.flash('success_msg', 'Review deleted');
+    res.redirect(req.back);
+  } catch (err) {
+    console.error('Error in POST /movies/:id/reviews/:reviewId/delete:', err);
+    req.flash('error_msg', 'Error deleting review');
+    res.redirect(req.back);
+  }
+});
+
+/**
+ * POST /movies/:id/reviews/:reviewId/report
+ * Report a review for moderation
+ * Body: reason, note, shareToken
+ */
+router.post('/:id/reviews/:reviewId/report', isAuthenticated, loadMovie, loadReview, reportRules, (req, res) => {
+  fileReport(req, res, 'review', req.review);
+});
+
+/**
+ * POST /movies/:id/reviews/:reviewId/comments
+ * Comment on a review, or reply to one of its comments
+ * Body: body, parentId (comment being replied to), shareToken
+ */
+router.post('/:id/reviews/:reviewId/comments', isAuthenticated, loadMovie, loadReview, commentRules, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  try {
+    let parentId = null;
+    if (req.body.parentId) {
+      const parent = await Comment.findOne({ _id: req.body.parentId, reviewId: req.review._id, deletedAt: null });
+      if (!parent) {
+        req.flash('error_msg', 'The comment you replied to no longer exists');
+        return res.redirect(req.back);
+      }
+      parentId = parent._id;
+    }
+
+    await Comment.create({
+      reviewId: req.review._id,
+      parentId,
+      userId: req.user._id,
+      body: req.body.body
+    });
+
+    req.flash('success_msg', parentId ? 'Reply posted' : 'Comment posted');
+    res.redirect(req.back);
+  } catch (err) {
+    console.error('Error in POST /movies/:id/reviews/:reviewId/comments:', err);
+    req.flash('error_msg', 'Error posting comment');
+    res.redirect(req.back);
+  }
+});
+
+/**
+ * POST /movies/:id/reviews/:reviewId/comments/:commentId/edit
+ * Change a comment (author only)
+ * Body: body, shareToken
+ */
+router.post('/:id/reviews/:reviewId/comments/:commentId/edit',
+  isAuthenticated, loadMovie, loadReview, loadComment, commentRules, async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      if (!isAuthor(req, req.comment)) {
+        req.flash('error_msg', 'You can only edit your own comments');
+        return res.redirect(req.back);
+      }
+
+      req.comment.body = req.body.body;
+      await req.comment.save();
+
+      req.flash('success_msg', 'Comment updated');
+      res.redirect(req.back);
+    } catch (err) {
+      console.error('Error in POST /movies/:id/reviews/:reviewId/comments/:commentId/edit:', err);
+      req.flash('error_msg', 'Error updating comment');
+      res.redirect(req.back);
+    }
+  });
+
+/**
+ * POST /movies/:id/reviews/:reviewId/comments/:commentId/delete
+ * Delete a comment (the author, or an admin for moderation)
+ */
+router.post('/:id/reviews/:reviewId/comments/:commentId/delete',
+  isAuthenticated, loadMovie, loadReview, loadComment, async (req, res) => {
+    try {
+      const moderating = !isAuthor(req, req.comment);
+      if (moderating && !req.user.hasRole('admin')) {
+        req.flash('error_msg', 'You can only delete your own comments');
+        return res.redirect(req.back);
+      }
+
+      await reviews.removeComment(req.comment);
+      if (moderating) {
+        await audit.record(req, 'comment-removed', {
+          user: await User.findById(req.comment.userId),
+          details: { movieId: req.movie._id, commentId: req.comment._id }
+        });
+      }
+
+      req.flash('success_msg', 'Comment deleted');
+      res.redirect(req.back);
+    } catch (err) {
+      console.error('Error in POST /movies/:id/reviews/:reviewId/comments/:commentId/delete:', err);
+      req.flash('error_msg', 'Error deleting comment');
+      res.redirect(req.back);
+    }
+  });
+
+/**
+ * POST /movies/:id/reviews/:reviewId/comments/:commentId/report
+ * Report a comment for moderation
+ * Body: reason, note, shareToken
+ */
+router.post('/:id/reviews/:reviewId/comments/:commentId/report',
+  isAuthenticated, loadMovie, loadReview, loadComment, reportRules, (req, res) => {
+    fileReport(req, res, 'comment', req.comment);
+  });
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Movie edit history routes
+ * Every change to a movie is stored as a revision (see utils/history.js);
+ * the History panel on the details page lists them and can revert to one
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Revision = require('../models/Revision');
+const { isAuthenticated, checkMovieOwnership } = require('../middleware/auth');
+const recommendations = require('../services/recommendations');
+
+/**
+ * POST /movies/:id/revisions/:revisionId/revert
+ * Put the movie back the way it was after a revision
+ * The revert is saved as a new revision, so it can be undone the same way
+ */
+router.post('/:id/revisions/:revisionId/revert', isAuthenticated, checkMovieOwnership, async (req, res) => {
+  const back = `/movies/${req.movie._id}#revisions`;
+
+  try {
+    const revision = mongoose.isValidObjectId(req.params.revisionId)
+      ? await Revision.findOne({ _id: req.params.revisionId, kind: 'Movie', documentId: req.movie._id })
+      : null;
+
+    if (!revision) {
+      req.flash('error_msg', 'Version not found');
+      return res.redirect(back);
+    }
+
+    await req.movie.revertTo(revision).save();
+    recommendations.invalidate(req.user._id);
+
+    req.flash('success_msg', `Reverted to the version from ${revision.createdAt.toLocaleString()}`);
+    res.redirect(back);
+  } catch (err) {
+    // e.g. a genre of the old version has since been removed
+    if (err instanceof mongoose.Error.ValidationError) {
+      req.flash('error_msg', 'That version can no longer be restored: ' +
+        Object.values(err.errors).map(e => e.message).join('. '));
+      return res.redirect(back);
+    }
+    console.error('Error in POST /movies/:id/revisions/:revisionId/revert:', err);
+    req.flash('error_msg', 'Error reverting movie');
+    res.redirect(back);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/**
+ * Public read-only routes for shared movies, collections and profiles
+ * No login required: access depends on visibility settings and share tokens
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const express = require('express');
+const router = express.Router();
+const createError = require('http-errors');
+const mongoose = require('mongoose');
+
+const Movie = require('../models/Movie');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { pageUrlFor } = require('../utils/pagination');
+const reviews = require('../services/reviews');
+
+/**
+ * Render one page of a user's shared movies
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} owner - User whose movies are listed
+ * @param {string[]} visibilities - Movie visibility levels to include
+ * @param {string} heading - Page heading
+ */
+async function renderCollection(req, res, owner, visibilities, heading) {
+  const options = Movie.parseListOptions(req.query);
+  const { movies, pagination } = await Movie.findPage({
+    userId: owner._id,
+    visibility: { $in: visibilities }
+  }, options);
+
+  // Follow button for other logged-in users
+  const isOwner = Boolean(req.user && req.user._id.equals(owner._id));
+  const following = req.user && !isOwner
+    ? Boolean(await Follow.exists({ followerId: req.user._id, followingId: owner._id }))
+    : false;
+
+  res.render('sharedCollection', {
+    title: heading,
+    heading: heading,
+    owner: owner,
+    movies: movies,
+    pagination: pagination,
+    pageUrl: pageUrlFor(req),
+    sortFields: Movie.sortFields,
+    isOwner: isOwner,
+    following: following,
+    canFollow: Boolean(req.user && !isOwner && owner.privacy.allowFollowers),
+    returnTo: req.path
+  });
+}
+
+/**
+ * GET /share/movie/:token
+ * Read-only view of an unlisted or public movie
+ */
+router.get('/share/movie/:token', async (req, res, next) => {
+  try {
+    const movie = await Movie.findOne({
+      shareToken: req.params.token,
+      visibility: { $ne: 'private' }
+    }).populate('userId', 'name collectionVisibility disabled');
+
+    // Disabled accounts' movies are hidden like private ones
+    if (!movie || (movie.userId && movie.userId.disabled)) {
+      return next(createError(404, 'Shared movie not found'));
+    }
+
+    // Owners see the same read-only page as everyone else, with a link to manage it
+    const sharedByViewer = Boolean(req.user && movie.userId &&
+      movie.userId._id.toString() === req.user._id.toString());
+
+    res.render('movieDetails', {
+      title: movie.name,
+      movie,
+      isOwner: false,
+      sharedByViewer,
+      // movieDetails includes the watch status partial, which reads this
+      watchStatuses: Movie.watchStatuses,
+      shareLink: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      // Review forms send the token so unlisted movies can be reviewed from here
+      shareToken: req.params.token,
+      community: await reviews.forMovie(movie, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /share/collection/:token
+ * Read-only list of a user's unlisted and public movies
+ * Only works while the collection is not private
+ */
+router.get('/share/collection/:token', async (req, res, next) => {
+  try {
+    const owner = await User.findOne({
+      shareToken: req.params.token,
+      collectionVisibility: { $ne: 'private' },
+      disabled: { $ne: true }
+    });
+
+    if (!owner) {
+      return next(createError(404, 'Shared collection not found'));
+    }
+
+    await renderCollection(req, res, owner, ['unlisted', 'public'], `${owner.name}'s Collection`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /profile/:id
+ * Public profile listing a user's public movies
+ * Only available when the collection is public
+ */
+router.get('/profile/:id', async (req, res, next) => {
+  try {
+    const owner = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOne({ _id: req.params.id, collectionVisibility: 'public', disabled: { $ne: true } })
+      : null;
+
+    if (!owner) {
+      return next(createError(404, 'Profile not found'));
+    }
+
+    await renderCollection(req, res, owner, ['public'], `${owner.name}'s Public Movies`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
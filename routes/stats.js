@@ -0,0 +1,41 @@
+/**
+ * Collection statistics routes
+ * The stats page draws its charts in the browser from the JSON route
+ * (API clients get the same data from GET /api/v1/stats)
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Movie = require('../models/Movie');
+const { isAuthenticated } = require('../middleware/auth');
+
+/**
+ * GET /movies/stats
+ * Stats page (charts are filled in by main.js)
+ */
+router.get('/stats', isAuthenticated, (req, res) => {
+  res.render('stats', {
+    title: 'Collection Stats'
+  });
+});
+
+/**
+ * GET /movies/stats/data
+ * Collection statistics as JSON for the stats page charts
+ */
+router.get('/stats/data', isAuthenticated, async (req, res) => {
+  try {
+    const stats = await Movie.collectionStats(req.user._id);
+    res.json({ stats });
+  } catch (err) {
+    console.error('Error in GET /movies/stats/data:', err);
+    res.status(500).json({
+      error: { status: 500, message: 'Error loading statistics' }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+/**
+ * Trash routes
+ * Deleted movies wait here until they are restored, deleted for good,
+ * or purged after the retention period (see config/trash.js)
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Movie = require('../models/Movie');
+const { isAuthenticated } = require('../middleware/auth');
+const trash = require('../services/trash');
+const config = require('../config/trash');
+
+router.use('/trash', isAuthenticated);
+
+// Load one of the user's trashed movies for :id routes
+router.param('id', async (req, res, next, id) => {
+  try {
+    const movie = mongoose.isValidObjectId(id)
+      ? await Movie.findOne({ _id: id, userId: req.user._id, deletedAt: { $ne: null } })
+      : null;
+
+    if (!movie) {
+      req.flash('error_msg', 'That movie is not in your trash');
+      return res.redirect('/movies/trash');
+    }
+
+    req.movie = movie;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /movies/trash
+ * List the user's deleted movies, most recently deleted first
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const movies = await Movie.find({ userId: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+
+    res.render('trash', {
+      title: 'Trash',
+      movies: movies,
+      purgeDate: trash.purgeDate,
+      retentionDays: config.retentionDays
+    });
+  } catch (err) {
+    console.error('Error in GET /movies/trash:', err);
+    req.flash('error_msg', 'Error loading the trash');
+    res.redirect('/movies');
+  }
+});
+
+/**
+ * POST /movies/trash/empty
+ * Delete everything in the trash for good
+ */
+router.post('/trash/empty', async (req, res) => {
+  try {
+    const movies = await Movie.find({ userId: req.user._id, deletedAt: { $ne: null } });
+    for (const movie of movies) {
+      await trash.purgeMovie(movie);
+    }
+
+    req.flash('success_msg', `Permanently deleted ${movies.length} ${movies.length === 1 ? 'movie' : 'movies'}`);
+    res.redirect('/movies/trash');
+  } catch (err) {
+    console.error('Error in POST /movies/trash/empty:', err);
+    req.flash('error_msg', 'Error emptying the trash');
+    res.redirect('/movies/trash');
+  }
+});
+
+/**
+ * POST /movies/trash/:id/restore
+ * Put a movie back in the collection (also used by the "Undo" link after deleting)
+ * Body: returnTo ('movies' to go back to the movie list instead of the trash)
+ */
+router.post('/trash/:id/restore', async (req, res) => {
+  const back = req.body.returnTo === 'movies' ? '/movies' : '/movies/trash';
+
+  try {
+    await trash.restoreMovie(req.movie);
+
+    req.flash('success_msg', `"${req.movie.name}" restored`);
+    res.redirect(back);
+  } catch (err) {
+    console.error('Error in POST /movies/trash/:id/restore:', err);
+    req.flash('error_msg', 'Error restoring movie');
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /movies/trash/:id/delete
+ * Delete a trashed movie for good
+ */
+router.post('/trash/:id/delete', async (req, res) => {
+  try {
+    await trash.purgeMovie(req.movie);
+
+    req.flash('success_msg', `"${req.movie.name}" permanently deleted`);
+    res.redirect('/movies/trash');
+  } catch (err) {
+    console.error('Error in POST /movies/trash/:id/delete:', err);
+    req.flash('error_msg', 'Error deleting movie');
+    res.redirect('/movies/trash');
+  }
+});
+
+module.exports = router;
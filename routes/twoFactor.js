@@ -0,0 +1,181 @@
+/**
+ * Two-factor authentication settings (TOTP authenticator apps)
+ * Enrolment, recovery codes and turning 2FA off
+ * The second login step itself is in routes/users.js
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+
+const { isAuthenticated } = require('../middleware/auth');
+const totp = require('../utils/totp');
+const audit = require('../services/audit');
+
+// Name shown in the authenticator app
+const ISSUER = 'Movie Manager';
+
+router.use(isAuthenticated);
+
+/**
+ * Check the password re-entered to confirm a sensitive change
+ * @returns {Promise<boolean>} - True if the password is correct
+ */
+function confirmPassword(req) {
+  // Accounts created through a login provider have no password to check yet
+  if (!req.user.hasPassword) return Promise.resolve(false);
+  return bcrypt.compare(String(req.body.password || ''), req.user.password);
+}
+
+/**
+ * Render the enrolment page for the secret waiting in the session
+ */
+async function renderSetup(req, res, errors) {
+  const secret = req.session.twoFactorSetup;
+  const uri = totp.keyUri(secret, req.user.email, ISSUER);
+
+  res.render('twoFactorSetup', {
+    title: 'Set Up Two-Factor Authentication',
+    qrCode: await QRCode.toDataURL(uri),
+    // Grouped in fours for typing into an authenticator by hand
+    secret: secret.match(/.{1,4}/g).join(' '),
+    errors: errors
+  });
+}
+
+/**
+ * GET /users/2fa
+ * Show whether 2FA is on and the options to set it up or turn it off
+ */
+router.get('/', (req, res) => {
+  res.render('twoFactor', {
+    title: 'Two-Factor Authentication',
+    twoFactor: req.user.twoFactor
+  });
+});
+
+/**
+ * POST /users/2fa/setup
+ * Start enrolment with a new secret (kept in the session until confirmed)
+ */
+router.post('/setup', (req, res) => {
+  if (req.user.twoFactor.enabled) {
+    req.flash('error_msg', 'Two-factor authentication is already on');
+    return res.redirect('/users/2fa');
+  }
+
+  req.session.twoFactorSetup = totp.generateSecret();
+  res.redirect('/users/2fa/setup');
+});
+
+/**
+ * GET /users/2fa/setup
+ * Display the QR code and secret for the authenticator app
+ */
+router.get('/setup', async (req, res) => {
+  if (!req.session.twoFactorSetup || req.user.twoFactor.enabled) {
+    return res.redirect('/users/2fa');
+  }
+
+  try {
+    await renderSetup(req, res);
+  } catch (err) {
+    console.error('Error in GET /users/2fa/setup:', err);
+    req.flash('error_msg', 'Error starting two-factor setup');
+    res.redirect('/users/2fa');
+  }
+});
+
+/**
+ * POST /users/2fa/enable
+ * Confirm the authenticator works by checking a code, then turn 2FA on
+ * The recovery codes are shown once on the response page
+ */
+router.post('/enable', async (req, res) => {
+  const secret = req.session.twoFactorSetup;
+  if (!secret || req.user.twoFactor.enabled) {
+    return res.redirect('/users/2fa');
+  }
+
+  try {
+    const step = totp.verify(secret, req.body.code);
+    if (step === null) {
+      return await renderSetup(req, res, [{ msg: 'That code is not correct. Check the time on your device and try again.' }]);
+    }
+
+    const codes = req.user.enableTwoFactor(secret);
+    // The code just entered can't be used to log in again
+    req.user.twoFactor.lastUsedStep = step;
+    await req.user.save();
+    await audit.record(req, 'two-factor-enabled');
+    delete req.session.twoFactorSetup;
+
+    res.render('twoFactorCodes', {
+      title: 'Recovery Codes',
+      codes: codes,
+      enabled: true
+    });
+  } catch (err) {
+    console.error('Error in POST /users/2fa/enable:', err);
+    req.flash('error_msg', 'Error turning on two-factor authentication');
+    res.redirect('/users/2fa');
+  }
+});
+
+/**
+ * POST /users/2fa/recovery-codes
+ * Replace the recovery codes (password required); the old codes stop working
+ */
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.redirect('/users/2fa');
+    }
+    if (!await confirmPassword(req)) {
+      req.flash('error_msg', 'Password incorrect');
+      return res.redirect('/users/2fa');
+    }
+
+    const codes = req.user.generateRecoveryCodes();
+    await req.user.save();
+    await audit.record(req, 'recovery-codes-created');
+
+    res.render('twoFactorCodes', {
+      title: 'Recovery Codes',
+      codes: codes,
+      enabled: false
+    });
+  } catch (err) {
+    console.error('Error in POST /users/2fa/recovery-codes:', err);
+    req.flash('error_msg', 'Error creating recovery codes');
+    res.redirect('/users/2fa');
+  }
+});
+
+/**
+ * POST /users/2fa/disable
+ * Turn 2FA off (password required)
+ */
+router.post('/disable', async (req, res) => {
+  try {
+    if (!await confirmPassword(req)) {
+      req.flash('error_msg', 'Password incorrect');
+      return res.redirect('/users/2fa');
+    }
+
+    req.user.disableTwoFactor();
+    await req.user.save();
+    await audit.record(req, 'two-factor-disabled');
+
+    req.flash('success_msg', 'Two-factor authentication is now off');
+    res.redirect('/users/2fa');
+  } catch (err) {
+    console.error('Error in POST /users/2fa/disable:', err);
+    req.flash('error_msg', 'Error turning off two-factor authentication');
+    res.redirect('/users/2fa');
+  }
+});
+
+module.exports = router;
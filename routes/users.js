@@ -1,17 +1,33 @@
 /**
- * User authentication routes (register, login, logout)
+ * User authentication routes (register, login with optional 2FA step, logout, password reset, email verification)
  * Authors: 
- * - Kaushalya Satharasinghe (n01718508) - Register, Logout
- * - Tien Dung Pham (n01718811) - Login
+ * - Kaushalya Satharasinghe (n01718508) - Register, Logout, Password Reset, Email Verification
+ * - Tien Dung Pham (n01718811) - Login, Two-Factor Login Step
  */
 
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const passport = require('passport');
+const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 
 const User = require('../models/User');
+const List = require('../models/List');
+const config = require('../config/database');
+const authConfig = require('../config/auth');
+const sessionConfig = require('../config/session');
+const mailer = require('../services/mailer');
+const { sendVerificationEmail, rememberLogin, beginTwoFactorLogin } = require('../services/accounts');
+const { loginLimiter } = require('../middleware/rateLimit');
+const { passwordRules } = require('../middleware/validation');
+const loginThrottle = require('../services/loginThrottle');
+const audit = require('../services/audit');
+const realtime = require('../services/realtime');
+
+// Same answer whether or not the email is registered, so accounts can't be discovered
+const RESET_SENT_MSG = 'If an account exists for that email, a password reset link has been sent';
+const VERIFY_SENT_MSG = 'If that email belongs to an unverified account, a new verification link has been sent';
 
 // GET register page
 router.get('/register', (req, res) => {
@@ -25,10 +41,7 @@ router.post('/register', [
   // Validation rules
   check('name', 'Name is required').not().isEmpty().trim().escape(),
   check('email', 'Please include a valid email').isEmail().normalizeEmail(),
-  check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
-  check('confirm_password', 'Passwords do not match').custom((value, { req }) => {
-    return value === req.body.password;
-  })
+  ...passwordRules
 ], async (req, res) => {
   const errors = validationResult(req);
   
@@ -63,12 +76,25 @@ router.post('/register', [
     const newUser = new User({
       name,
       email: email.toLowerCase(),
-      password: hashedPassword
+      password: hashedPassword,
+      emailVerified: false
     });
 
     await newUser.save();
+
+    // Every account starts with a Watchlist and Favourites list
+    await List.ensureBuiltIns(newUser._id);
+
+    // A mail problem shouldn't undo the registration; a new link can be requested later
+    try {
+      await sendVerificationEmail(req, newUser);
+    } catch (mailErr) {
+      console.error('Error sending verification email:', mailErr);
+    }
     
-    req.flash('success_msg', 'You are now registered and can log in');
+    req.flash('success_msg', authConfig.emailVerification === 'block'
+      ? 'You are now registered. Please verify your email address using the link we sent before logging in'
+      : 'You are now registered and can log in. We sent you a link to verify your email address');
     res.redirect('/users/login');
     
   } catch (err) {
@@ -81,7 +107,8 @@ router.post('/register', [
 // GET login page
 router.get('/login', (req, res) => {
   res.render('login', {
-    title: 'Login'
+    title: 'Login',
+    rememberMeDays: sessionConfig.rememberMeDays
   });
 });
 
@@ -90,27 +117,353 @@ router.post('/login', [
   // Validation rules
   check('email', 'Please include a valid email').isEmail().normalizeEmail(),
   check('password', 'Password is required').exists()
-], (req, res, next) => {
+], loginLimiter(), (req, res, next) => {
   const errors = validationResult(req);
   
   if (!errors.isEmpty()) {
     return res.render('login', {
       title: 'Login',
+      rememberMeDays: sessionConfig.rememberMeDays,
       errors: errors.array(),
-      email: req.body.email
+      formData: req.body
     });
   }
 
   // Authenticate using Passport
-  passport.authenticate('local', {
-    successRedirect: '/movies',
-    failureRedirect: '/users/login',
-    failureFlash: true
+  passport.authenticate('local', (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    if (!user) {
+      req.flash('error', info ? info.message : 'Invalid email or password');
+      return res.redirect('/users/login');
+    }
+
+    // With 2FA on, the password only unlocks the second step; the session
+    // is established after a valid code in POST /users/login/2fa
+    if (user.twoFactor.enabled) {
+      beginTwoFactorLogin(req, user, { remember: Boolean(req.body.remember) });
+      return res.redirect('/users/login/2fa');
+    }
+
+    req.logIn(user, async (err) => {
+      if (err) {
+        return next(err);
+      }
+      rememberLogin(req, Boolean(req.body.remember));
+      await loginThrottle.recordSuccess(user.email);
+      await audit.record(req, 'login', { details: { method: 'password', remember: Boolean(req.body.remember) } });
+      res.redirect('/movies');
+    });
   })(req, res, next);
 });
 
-// GET handle user logout
-router.get('/logout', (req, res) => {
+/**
+ * The user waiting for the second login step, if it hasn't timed out
+ * @returns {Promise<Object|null>} - User or null
+ */
+async function pendingTwoFactorUser(req) {
+  const pending = req.session.twoFactorLogin;
+  if (!pending || pending.expiresAt < Date.now()) return null;
+
+  const user = await User.findById(pending.userId);
+  return user && !user.disabled && user.twoFactor.enabled ? user : null;
+}
+
+// GET second login step (authenticator or recovery code)
+router.get('/login/2fa', async (req, res, next) => {
+  try {
+    if (!await pendingTwoFactorUser(req)) {
+      delete req.session.twoFactorLogin;
+      req.flash('error_msg', 'Please log in again');
+      return res.redirect('/users/login');
+    }
+
+    res.render('twoFactorLogin', {
+      title: 'Two-Factor Authentication'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST check the second-step code and finish logging in
+router.post('/login/2fa', async (req, res, next) => {
+  try {
+    const user = await pendingTwoFactorUser(req);
+
+    if (!user) {
+      delete req.session.twoFactorLogin;
+      req.flash('error_msg', 'Please log in again');
+      return res.redirect('/users/login');
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (await loginThrottle.lockedUntil(req.ip, user.email)) {
+      delete req.session.twoFactorLogin;
+      req.flash('error_msg', 'Too many failed login attempts. Please try again later.');
+      return res.redirect('/users/login');
+    }
+
+    const method = await user.useTwoFactorCode(req.body.code);
+    if (!method) {
+      await loginThrottle.recordFailure(req.ip, user.email);
+      await audit.record(req, 'login-failed', { user, details: { reason: 'two-factor' } });
+      return res.render('twoFactorLogin', {
+        title: 'Two-Factor Authentication',
+        errors: [{ msg: 'Invalid authentication code' }]
+      });
+    }
+    // Read before req.logIn replaces the session
+    const remember = Boolean(req.session.twoFactorLogin.remember);
+    const loginMethod = req.session.twoFactorLogin.method || 'password';
+
+    req.logIn(user, async (err) => {
+      if (err) {
+        return next(err);
+      }
+      rememberLogin(req, remember);
+      await loginThrottle.recordSuccess(user.email);
+      await audit.record(req, 'login', { details: { method: loginMethod, twoFactor: method, remember } });
+      if (method === 'recovery') {
+        const left = user.twoFactor.recoveryCodes.length;
+        req.flash('success_msg', `You used a recovery code. ${left} ${left === 1 ? 'code is' : 'codes are'} left; ` +
+          'you can create new ones under Two-Factor Authentication.');
+      }
+      res.redirect('/movies');
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST issue a JWT bearer token for the JSON API
+router.post('/token', [
+  // Validation rules (same as login)
+  check('email', 'Please include a valid email').isEmail().normalizeEmail(),
+  check('password', 'Password is required').exists()
+], loginLimiter({ json: true }), (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(422).json({
+      error: {
+        status: 422,
+        message: 'Validation failed',
+        details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+      }
+    });
+  }
+
+  // Authenticate with the same local strategy, without creating a session
+  passport.authenticate('local', { session: false }, async (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    if (!user) {
+      return res.status(401).json({
+        error: { status: 401, message: info ? info.message : 'Invalid credentials' }
+      });
+    }
+
+    // Accounts with 2FA also send the current authenticator (or a recovery) code
+    if (user.twoFactor.enabled) {
+      try {
+        const method = req.body.code ? await user.useTwoFactorCode(req.body.code) : null;
+        if (!method) {
+          if (req.body.code) {
+            await loginThrottle.recordFailure(req.ip, user.email);
+            await audit.record(req, 'login-failed', { user, details: { reason: 'two-factor', method: 'api-token' } });
+          }
+          return res.status(401).json({
+            error: {
+              status: 401,
+              message: req.body.code ? 'Invalid two-factor code' : 'Two-factor code required',
+              twoFactorRequired: true
+            }
+          });
+        }
+      } catch (err) {
+        return next(err);
+      }
+    }
+
+    const token = jwt.sign({ sub: user.id }, config.jwtSecret, {
+      expiresIn: config.jwtExpiresIn
+    });
+    await loginThrottle.recordSuccess(user.email);
+    await audit.record(req, 'login', { user, details: { method: 'api-token' } });
+
+    res.json({
+      token,
+      tokenType: 'Bearer',
+      expiresIn: config.jwtExpiresIn
+    });
+  })(req, res, next);
+});
+
+// GET forgot password page
+router.get('/forgot', (req, res) => {
+  res.render('forgotPassword', {
+    title: 'Forgot Password'
+  });
+});
+
+// POST email a password reset link
+router.post('/forgot', [
+  check('email', 'Please include a valid email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('forgotPassword', {
+      title: 'Forgot Password',
+      errors: errors.array(),
+      formData: req.body
+    });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), disabled: { $ne: true } });
+
+    if (user) {
+      const token = user.createToken('reset', authConfig.resetTokenTtlMinutes * 60 * 1000);
+      await user.save();
+      await mailer.sendPasswordReset(
+        user,
+        mailer.linkUrl(req, `/users/reset/${token}`),
+        authConfig.resetTokenTtlMinutes
+      );
+    }
+
+    req.flash('success_msg', RESET_SENT_MSG);
+    res.redirect('/users/login');
+  } catch (err) {
+    console.error('Error in POST /users/forgot:', err);
+    req.flash('error_msg', 'Error sending password reset email, please try again later');
+    res.redirect('/users/forgot');
+  }
+});
+
+// GET choose a new password (link from the reset email)
+router.get('/reset/:token', async (req, res) => {
+  try {
+    const user = await User.findByToken('reset', req.params.token);
+
+    if (!user) {
+      req.flash('error_msg', 'That password reset link is invalid or has expired');
+      return res.redirect('/users/forgot');
+    }
+
+    res.render('resetPassword', {
+      title: 'Reset Password',
+      token: req.params.token
+    });
+  } catch (err) {
+    console.error('Error in GET /users/reset/:token:', err);
+    req.flash('error_msg', 'Error checking password reset link');
+    res.redirect('/users/forgot');
+  }
+});
+
+// POST save the new password (the token can only be used once)
+router.post('/reset/:token', passwordRules, async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('resetPassword', {
+      title: 'Reset Password',
+      errors: errors.array(),
+      token: req.params.token
+    });
+  }
+
+  try {
+    const user = await User.consumeToken('reset', req.params.token);
+
+    if (!user) {
+      req.flash('error_msg', 'That password reset link is invalid or has expired');
+      return res.redirect('/users/forgot');
+    }
+
+    user.password = await bcrypt.hash(req.body.password, 10);
+    // Following the emailed link also proves the address
+    user.emailVerified = true;
+    await user.save();
+    await audit.record(req, 'password-reset', { user });
+
+    req.flash('success_msg', 'Your password has been changed and you can now log in');
+    res.redirect('/users/login');
+  } catch (err) {
+    console.error('Error in POST /users/reset/:token:', err);
+    req.flash('error_msg', 'Error resetting password');
+    res.redirect('/users/forgot');
+  }
+});
+
+// GET request a new verification link
+router.get('/verify', (req, res) => {
+  res.render('resendVerification', {
+    title: 'Verify Email',
+    formData: { email: req.user ? req.user.email : '' }
+  });
+});
+
+// POST email a new verification link
+router.post('/verify', [
+  check('email', 'Please include a valid email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('resendVerification', {
+      title: 'Verify Email',
+      errors: errors.array(),
+      formData: req.body
+    });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), emailVerified: false });
+    if (user) await sendVerificationEmail(req, user);
+
+    req.flash('success_msg', VERIFY_SENT_MSG);
+    res.redirect(req.user ? '/movies' : '/users/login');
+  } catch (err) {
+    console.error('Error in POST /users/verify:', err);
+    req.flash('error_msg', 'Error sending verification email, please try again later');
+    res.redirect('/users/verify');
+  }
+});
+
+// GET verify an email address (link from the verification email)
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const user = await User.consumeToken('verify', req.params.token);
+
+    if (!user) {
+      req.flash('error_msg', 'That verification link is invalid or has expired');
+      return res.redirect('/users/verify');
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    req.flash('success_msg', 'Your email address has been verified');
+    res.redirect(req.user ? '/movies' : '/users/login');
+  } catch (err) {
+    console.error('Error in GET /users/verify/:token:', err);
+    req.flash('error_msg', 'Error verifying email address');
+    res.redirect('/users/verify');
+  }
+});
+
+// POST handle user logout
+router.post('/logout', async (req, res, next) => {
+  if (req.user) await audit.record(req, 'logout');
+  // Close this session's live update streams (other sessions stay connected)
+  realtime.disconnect({ sessionId: req.sessionID });
+
   req.logout((err) => {
     if (err) {
       return next(err);
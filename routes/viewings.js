@@ -0,0 +1,108 @@
+/**
+ * Viewing history routes
+ * Watch status and the per-movie viewing log shown on the movie details page
+ * Mounted under /movies next to the movie CRUD routes
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+
+const { watchStatuses } = require('../models/Movie');
+const { isAuthenticated, checkMovieOwnership } = require('../middleware/auth');
+const { viewingRules } = require('../middleware/validation');
+const recommendations = require('../services/recommendations');
+
+/**
+ * POST /movies/:id/status
+ * Change a movie's watch status
+ * Body: status (unwatched, in-progress, watched)
+ */
+router.post('/:id/status', isAuthenticated, checkMovieOwnership, async (req, res) => {
+  const back = `/movies/${req.movie._id}`;
+
+  try {
+    if (!watchStatuses.includes(req.body.status)) {
+      req.flash('error_msg', 'Please choose a valid status');
+      return res.redirect(back);
+    }
+
+    req.movie.status = req.body.status;
+    await req.movie.save();
+    // Unwatched movies are recommendation candidates
+    recommendations.invalidate(req.user._id);
+
+    req.flash('success_msg', 'Status updated');
+    res.redirect(back);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error updating status');
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /movies/:id/viewings
+ * Add an entry to a movie's viewing log and mark it as watched
+ * Body: watchedAt (YYYY-MM-DD), location, companions, note
+ */
+router.post('/:id/viewings', isAuthenticated, checkMovieOwnership, viewingRules, async (req, res) => {
+  const back = `/movies/${req.movie._id}#history`;
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(error => error.msg).join('. '));
+    return res.redirect(back);
+  }
+
+  try {
+    req.movie.viewings.push({
+      watchedAt: new Date(req.body.watchedAt),
+      location: req.body.location || '',
+      companions: req.body.companions || '',
+      note: req.body.note || ''
+    });
+    req.movie.status = 'watched';
+    await req.movie.save();
+    recommendations.invalidate(req.user._id);
+
+    req.flash('success_msg', req.movie.viewings.length > 1
+      ? `Rewatch logged (watched ${req.movie.viewings.length} times)`
+      : 'Viewing logged');
+    res.redirect(back);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error logging viewing');
+    res.redirect(back);
+  }
+});
+
+/**
+ * POST /movies/:id/viewings/:viewingId/delete
+ * Remove an entry from the viewing log
+ */
+router.post('/:id/viewings/:viewingId/delete', isAuthenticated, checkMovieOwnership, async (req, res) => {
+  const back = `/movies/${req.movie._id}#history`;
+
+  try {
+    const viewing = req.movie.viewings.id(req.params.viewingId);
+
+    if (!viewing) {
+      req.flash('error_msg', 'Viewing not found');
+      return res.redirect(back);
+    }
+
+    viewing.deleteOne();
+    await req.movie.save();
+
+    req.flash('success_msg', 'Viewing removed');
+    res.redirect(back);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error removing viewing');
+    res.redirect(back);
+  }
+});
+
+module.exports = router;
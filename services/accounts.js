@@ -0,0 +1,92 @@
+/**
+ * Account management helpers shared by the admin area and user settings
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const Movie = require('../models/Movie');
+const List = require('../models/List');
+const User = require('../models/User');
+const Revision = require('../models/Revision');
+const Activity = require('../models/Activity');
+const Follow = require('../models/Follow');
+const { removeCover } = require('./coverStorage');
+const mailer = require('./mailer');
+const recommendations = require('./recommendations');
+const reviews = require('./reviews');
+const realtime = require('./realtime');
+const authConfig = require('../config/auth');
+const sessionConfig = require('../config/session');
+
+// How long the second login step waits for a code after the first step succeeds
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Create a verification token for the user and email the link
+ * @param {Object} req - Express request (used to build the link)
+ * @param {Object} user - User document
+ */
+async function sendVerificationEmail(req, user) {
+  const token = user.createToken('verify', authConfig.verifyTokenTtlHours * 60 * 60 * 1000);
+  await user.save();
+  await mailer.sendVerification(user, mailer.linkUrl(req, `/users/verify/${token}`));
+}
+
+/**
+ * Delete a user together with everything they own
+ * Movies (with their edit history and reviews), lists, the user's reviews and comments,
+ * follows both ways, feed activity and uploaded cover files are removed before the account itself
+ * @param {string|ObjectId} userId - User to delete
+ * @returns {Promise<Object>} - { movies, lists } counts of deleted documents
+ */
+async function deleteAccount(userId) {
+  const uploads = await Movie.find({ userId, coverUpload: { $ne: null } }).withDeleted().distinct('coverUpload');
+  await Promise.all(uploads.map(key => removeCover(key)));
+
+  const movieIds = await Movie.find({ userId }).withDeleted().distinct('_id');
+  await reviews.removeForUser(userId, movieIds);
+  const [movies, lists] = await Promise.all([
+    Movie.deleteMany({ userId }),
+    List.deleteMany({ userId }),
+    Revision.deleteMany({ kind: 'Movie', documentId: { $in: movieIds } }),
+    Activity.deleteMany({ actorId: userId }),
+    Follow.deleteMany({ $or: [{ followerId: userId }, { followingId: userId }] })
+  ]);
+  await User.deleteOne({ _id: userId });
+  recommendations.invalidate(userId);
+  realtime.disconnect({ userId });
+
+  return { movies: movies.deletedCount, lists: lists.deletedCount };
+}
+
+/**
+ * Keep a "Remember me" login for longer than the default session lifetime
+ * Call after req.logIn, which starts a new session
+ * @param {Object} req - Express request
+ * @param {boolean} remember - Whether "Remember me" was ticked
+ */
+function rememberLogin(req, remember) {
+  if (remember) req.session.cookie.maxAge = sessionConfig.rememberMeDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Hold a login at the two-factor step; the session is established after a
+ * valid code in POST /users/login/2fa
+ * @param {Object} req - Express request
+ * @param {Object} user - User who passed the first step
+ * @param {Object} options - { remember, method } (method is 'password' or a login provider id)
+ */
+function beginTwoFactorLogin(req, user, { remember = false, method = 'password' } = {}) {
+  req.session.twoFactorLogin = {
+    userId: user.id,
+    expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+    remember: Boolean(remember),
+    method
+  };
+}
+
+module.exports = {
+  sendVerificationEmail,
+  deleteAccount,
+  rememberLogin,
+  beginTwoFactorLogin
+};
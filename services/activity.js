@@ -0,0 +1,118 @@
+/**
+ * Activity feed: what the users someone follows have been doing with their public movies
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const Activity = require('../models/Activity');
+const Follow = require('../models/Follow');
+const Movie = require('../models/Movie');
+const User = require('../models/User');
+
+// Activities per page of the home page feed
+const FEED_PAGE_SIZE = 20;
+
+/**
+ * Record movies being added to one of the user's lists
+ * Never throws: a failed write is logged and the request carries on
+ * @param {Object} user - Owner of the list
+ * @param {Object} list - List document
+ * @param {Object[]} movies - Movies that were added
+ */
+async function recordListAdds(user, list, movies) {
+  if (movies.length === 0) return;
+
+  try {
+    await Activity.insertMany(movies.map(movie => ({
+      type: 'list-added',
+      actorId: user._id,
+      movieId: movie._id,
+      listId: list._id,
+      details: { listName: list.name }
+    })));
+  } catch (err) {
+    console.error('Error recording activity:', err);
+  }
+}
+
+/**
+ * One page of a user's feed, newest first
+ * Only activity of followed users who share it, on movies that are public (and not
+ * in the trash) right now, is included - movie visibility is checked here rather than
+ * when the activity is written, so private movies never show up
+ * @param {Object} user - User whose feed to show
+ * @param {number|string} [requestedPage=1] - Page number
+ * @returns {Promise<Object>} - { activities: [{ _id, type, createdAt, details, actor, movie }],
+ *   following, pagination }
+ */
+async function feedFor(user, requestedPage = 1) {
+  const followingIds = await Follow.find({ followerId: user._id }).distinct('followingId');
+  const actors = await User.find({
+    _id: { $in: followingIds },
+    // Users saved before these fields existed are active and share by default
+    disabled: { $ne: true },
+    'privacy.shareActivity': { $ne: false }
+  }).select('name');
+  const actorsById = new Map(actors.map(actor => [actor.id, actor]));
+
+  // Activity whose movie can't be shown is dropped by the $unwind
+  const visible = [
+    { $match: { actorId: { $in: actors.map(actor => actor._id) } } },
+    {
+      $lookup: {
+        from: Movie.collection.name,
+        let: { movieId: '$movieId', actorId: '$actorId' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $and: [{ $eq: ['$_id', '$$movieId'] }, { $eq: ['$userId', '$$actorId'] }] },
+              visibility: 'public',
+              deletedAt: null
+            }
+          },
+          { $project: { name: 1, year: 1, rating: 1, coverImage: 1, coverUpload: 1 } }
+        ],
+        as: 'movie'
+      }
+    },
+    { $unwind: '$movie' }
+  ];
+
+  const [counted] = await Activity.aggregate([...visible, { $count: 'count' }]);
+  const total = counted ? counted.count : 0;
+  const totalPages = Math.max(Math.ceil(total / FEED_PAGE_SIZE), 1);
+  const page = Math.min(Math.max(parseInt(requestedPage, 10) || 1, 1), totalPages);
+
+  const items = await Activity.aggregate([
+    ...visible,
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $skip: (page - 1) * FEED_PAGE_SIZE },
+    { $limit: FEED_PAGE_SIZE }
+  ]);
+
+  return {
+    activities: items.map(item => ({
+      _id: item._id,
+      type: item.type,
+      createdAt: item.createdAt,
+      details: item.details || {},
+      actor: actorsById.get(item.actorId.toString()),
+      // Hydrated for the coverThumbnail virtual
+      movie: Movie.hydrate(item.movie)
+    })),
+    following: followingIds.length,
+    pagination: {
+      page,
+      limit: FEED_PAGE_SIZE,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages
+    }
+  };
+}
+
+module.exports = {
+  FEED_PAGE_SIZE,
+  recordListAdds,
+  feedFor
+};
@@ -0,0 +1,39 @@
+/**
+ * Audit logging for security-relevant account events (see models/AuditLog.js)
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Write an audit log entry for a request
+ * Never throws: a failed write is logged and the request carries on
+ * @param {Object} req - Express request (client IP, user agent and acting user)
+ * @param {string} event - One of AuditLog.auditEvents
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Account the event is about (defaults to req.user)
+ * @param {string} [options.email] - Email tried, when there is no such account
+ * @param {Object} [options.details] - Extra information to store
+ */
+async function record(req, event, { user = req.user, email = '', details = {} } = {}) {
+  try {
+    // An admin acting on another account is recorded as the actor
+    const actor = req.user && !(user && req.user._id.equals(user._id)) ? req.user._id : null;
+
+    await AuditLog.create({
+      event,
+      userId: user ? user._id : null,
+      email: user ? user.email : String(email).toLowerCase(),
+      actorId: actor,
+      ip: req.ip || '',
+      userAgent: String(req.get('User-Agent') || '').slice(0, 300),
+      details
+    });
+  } catch (err) {
+    console.error(`Error writing audit log (${event}):`, err);
+  }
+}
+
+module.exports = {
+  record
+};
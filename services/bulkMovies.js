@@ -0,0 +1,136 @@
+/**
+ * Bulk actions on the movies selected in the movie list and filter page
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const mongoose = require('mongoose');
+const Movie = require('../models/Movie');
+const List = require('../models/List');
+const recommendations = require('./recommendations');
+const activity = require('./activity');
+const realtime = require('./realtime');
+const { trashMovie } = require('./trash');
+
+// Actions offered in the bulk toolbar
+const bulkActions = ['delete', 'add-genre', 'remove-genre', 'set-rating', 'add-to-list'];
+
+// Most movies one request may change (a page of the movie list at most)
+const MAX_BULK_MOVIES = 100;
+
+/**
+ * Why an action can't be applied to a movie
+ * @returns {string|null} - Reason shown to the user, or null if it can be applied
+ */
+function problemWith(movie, action, options) {
+  if (action === 'remove-genre' && movie.genres.length === 1 && movie.genres[0] === options.genre) {
+    return `${options.genre} is its only genre`;
+  }
+  return null;
+}
+
+/**
+ * Apply an action to one movie, saving it so the change is kept in its history
+ * @returns {Promise<boolean>} - False if the movie already was that way
+ */
+async function applyTo(movie, action, options) {
+  switch (action) {
+    case 'delete':
+      await trashMovie(movie);
+      return true;
+    case 'add-genre':
+      if (movie.genres.includes(options.genre)) return false;
+      movie.genres.push(options.genre);
+      break;
+    case 'remove-genre':
+      if (!movie.genres.includes(options.genre)) return false;
+      movie.genres.pull(options.genre);
+      break;
+    case 'set-rating':
+      if (movie.rating === options.rating) return false;
+      movie.rating = options.rating;
+      break;
+  }
+
+  await movie.save();
+  return true;
+}
+
+/**
+ * Apply one action to several of the user's movies
+ * Each movie is checked on its own like checkMovieOwnership: missing movies,
+ * other users' movies and movies the action can't be applied to are reported
+ * as failures while the rest are still changed
+ * @param {Object} user - Logged-in user
+ * @param {string[]} ids - Selected movie ids
+ * @param {string} action - One of bulkActions
+ * @param {Object} options - genre (add/remove-genre), rating (set-rating), list (add-to-list, owned by user)
+ * @returns {Promise<Object>} - { changed: [movie], unchanged: [movie], failed: [{ id, name, reason }] }
+ */
+async function applyBulkAction(user, ids, action, options) {
+  const result = { changed: [], unchanged: [], failed: [] };
+  const selected = [...new Set(ids.map(String))];
+
+  const movies = await Movie.find({ _id: { $in: selected } });
+  const byId = new Map(movies.map(movie => [movie._id.toString(), movie]));
+
+  const owned = [];
+  selected.forEach(id => {
+    const movie = byId.get(id);
+    // Other users' movies are reported like missing ones, without their names
+    if (!movie || !movie.userId.equals(user._id)) {
+      result.failed.push({ id, name: null, reason: 'not found' });
+    } else {
+      owned.push(movie);
+    }
+  });
+
+  if (action === 'add-to-list') {
+    const inList = new Set(options.list.movies.map(String));
+    owned.forEach(movie => {
+      (inList.has(movie._id.toString()) ? result.unchanged : result.changed).push(movie);
+    });
+
+    // $addToSet keeps a movie from appearing twice in the same list
+    await List.updateOne(
+      { _id: options.list._id, userId: user._id },
+      { $addToSet: { movies: { $each: result.changed.map(movie => movie._id) } } }
+    );
+    await activity.recordListAdds(user, options.list, result.changed);
+    return result;
+  }
+
+  for (const movie of owned) {
+    const problem = problemWith(movie, action, options);
+    if (problem) {
+      result.failed.push({ id: movie._id.toString(), name: movie.name, reason: problem });
+      continue;
+    }
+
+    try {
+      (await applyTo(movie, action, options) ? result.changed : result.unchanged).push(movie);
+    } catch (err) {
+      // e.g. a movie saved before a validation rule existed; the others carry on
+      if (!(err instanceof mongoose.Error.ValidationError)) console.error('Error in bulk action:', err);
+      result.failed.push({
+        id: movie._id.toString(),
+        name: movie.name,
+        reason: err instanceof mongoose.Error.ValidationError
+          ? Object.values(err.errors).map(e => e.message).join(', ')
+          : 'could not be saved'
+      });
+    }
+  }
+
+  if (result.changed.length > 0) recommendations.invalidate(user._id);
+  // Trashed movies were announced by trashMovie
+  if (action !== 'delete') {
+    result.changed.forEach(movie => realtime.publish(user._id, 'movie-updated', { id: movie.id, name: movie.name }));
+  }
+  return result;
+}
+
+module.exports = {
+  bulkActions,
+  MAX_BULK_MOVIES,
+  applyBulkAction
+};
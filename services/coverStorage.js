@@ -0,0 +1,127 @@
+/**
+ * Cover image storage for uploaded movie covers
+ * Saves uploads as WebP with thumbnail variants and removes them when no longer used
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Local fallback cover used when a movie has no image
+const DEFAULT_COVER_IMAGE = '/images/default-movie.svg';
+
+// Uploaded files live outside public/ and are served under /uploads
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const COVER_DIR = path.join(UPLOAD_DIR, 'covers');
+const COVER_URL = '/uploads/covers';
+
+// Largest stored width for the full-size cover
+const MAX_WIDTH = 1200;
+
+// Thumbnail variants (name -> width in pixels)
+const VARIANTS = {
+  card: 400,
+  thumb: 160
+};
+
+/**
+ * Public URL of a stored cover or one of its variants
+ * @param {string} key - Stored cover key
+ * @param {string} [variant] - Variant name from VARIANTS, full size if omitted
+ * @returns {string} - URL under /uploads
+ */
+function coverUrl(key, variant) {
+  return `${COVER_URL}/${key}${variant ? '-' + variant : ''}.webp`;
+}
+
+/**
+ * Store an uploaded image and generate its thumbnail variants
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<string>} - Key identifying the stored cover
+ */
+async function saveCover(file) {
+  const key = crypto.randomBytes(16).toString('hex');
+  await fs.promises.mkdir(COVER_DIR, { recursive: true });
+
+  // Apply EXIF orientation once, then derive every size from it
+  const image = sharp(file.buffer).rotate();
+  const sizes = { '': MAX_WIDTH, ...VARIANTS };
+
+  try {
+    await Promise.all(Object.entries(sizes).map(([variant, width]) =>
+      image.clone()
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toFile(path.join(COVER_DIR, path.basename(coverUrl(key, variant))))
+    ));
+  } catch (err) {
+    await removeCover(key);
+    throw err;
+  }
+
+  return key;
+}
+
+/**
+ * Delete a stored cover and all of its variants
+ * Missing files are ignored
+ * @param {string} key - Stored cover key
+ */
+async function removeCover(key) {
+  if (!key) return;
+
+  const names = ['', ...Object.keys(VARIANTS)];
+  await Promise.all(names.map(variant =>
+    fs.promises.unlink(path.join(COVER_DIR, path.basename(coverUrl(key, variant))))
+      .catch(err => {
+        if (err.code !== 'ENOENT') console.error('Error removing cover file:', err);
+      })
+  ));
+}
+
+/**
+ * Work out the cover for a movie being created or updated
+ * Priority: new upload, then a cover URL, then the existing upload, then the default image
+ * @param {Object} req - Request with optional req.file, body.coverImage and body.removeCover
+ * @param {Object} [movie] - Existing movie when editing
+ * @returns {Promise<Object>} - { fields, stale } where stale is an upload key to remove after saving
+ */
+async function resolveCover(req, movie = null) {
+  const previous = movie ? movie.coverUpload : null;
+
+  if (req.file) {
+    const key = await saveCover(req.file);
+    return {
+      fields: { coverImage: coverUrl(key), coverUpload: key },
+      created: key,
+      stale: previous
+    };
+  }
+
+  const url = (req.body.coverImage || '').trim();
+
+  // Keep the current upload unless it was replaced or explicitly removed
+  if (previous && !url && !req.body.removeCover) {
+    return {
+      fields: { coverImage: movie.coverImage, coverUpload: previous },
+      stale: null
+    };
+  }
+
+  return {
+    fields: { coverImage: url || DEFAULT_COVER_IMAGE, coverUpload: null },
+    stale: previous
+  };
+}
+
+module.exports = {
+  DEFAULT_COVER_IMAGE,
+  UPLOAD_DIR,
+  VARIANTS,
+  coverUrl,
+  saveCover,
+  removeCover,
+  resolveCover
+};
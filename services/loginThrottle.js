@@ -0,0 +1,83 @@
+/**
+ * Login throttling: counts failed logins per IP address and per account
+ * and locks them out for a while once a limit is reached
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+const config = require('../config/auth');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Counter keys and limits for a login attempt
+ * @param {string} ip - Client IP address
+ * @param {string} email - Email being logged into
+ * @returns {Object[]} - [{ key, max }]
+ */
+function keysFor(ip, email) {
+  const keys = [{ key: `ip:${ip}`, max: config.loginMaxFailuresPerIp }];
+  if (email) {
+    keys.push({ key: `email:${String(email).toLowerCase()}`, max: config.loginMaxFailuresPerAccount });
+  }
+  return keys;
+}
+
+/**
+ * Check whether the IP address or account is locked out
+ * @param {string} ip - Client IP address
+ * @param {string} email - Email being logged into
+ * @returns {Promise<Date|null>} - When the lockout ends, or null if not locked
+ */
+async function lockedUntil(ip, email) {
+  const locked = await LoginAttempt.find({
+    key: { $in: keysFor(ip, email).map(k => k.key) },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  if (locked.length === 0) return null;
+  return new Date(Math.max(...locked.map(attempt => attempt.lockedUntil.getTime())));
+}
+
+/**
+ * Count a failed login and lock out counters that reach their limit
+ * @param {string} ip - Client IP address
+ * @param {string} email - Email that was tried
+ */
+async function recordFailure(ip, email) {
+  const now = Date.now();
+
+  await Promise.all(keysFor(ip, email).map(async ({ key, max }) => {
+    // Start a new window when the old one has run out (the TTL monitor may lag)
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date(now) } });
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $setOnInsert: { expiresAt: new Date(now + config.loginWindowMinutes * MINUTE) }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (attempt.failures >= max && !attempt.lockedUntil) {
+      const until = new Date(now + config.lockoutMinutes * MINUTE);
+      await LoginAttempt.updateOne({ key }, { lockedUntil: until, expiresAt: until });
+    }
+  }));
+}
+
+/**
+ * Forget failed logins for an account after a successful login
+ * (the IP counter is kept so one address can't spread guesses across accounts)
+ * @param {string} email - Email that logged in
+ */
+async function recordSuccess(email) {
+  await LoginAttempt.deleteOne({ key: `email:${String(email).toLowerCase()}` });
+}
+
+module.exports = {
+  lockedUntil,
+  recordFailure,
+  recordSuccess
+};
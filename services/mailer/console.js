@@ -0,0 +1,23 @@
+/**
+ * Console mail transport: prints messages to the server log (development default)
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+module.exports = function consoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      console.log([
+        '--- Email ---',
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+        '-------------'
+      ].join('\n'));
+      return { id: null };
+    }
+  };
+};
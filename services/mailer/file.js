@@ -0,0 +1,30 @@
+/**
+ * File mail transport: writes each message to an .eml file
+ * Handy in tests and development; the files open in any mail client
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+module.exports = function fileTransport({ dir }) {
+  // streamTransport builds the raw message without sending it
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const info = await builder.sendMail(message);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${id}.eml`);
+      await fs.promises.writeFile(file, info.message);
+
+      return { id, file };
+    }
+  };
+};
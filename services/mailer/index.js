@@ -0,0 +1,114 @@
+/**
+ * Email sending through a configurable transport
+ * Transports are swappable (see config/mail.js)
+ *
+ * A transport is an object with:
+ * - name: string
+ * - send({ from, to, subject, text, html }): Promise<{ id }>
+ *
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const config = require('../../config/mail');
+const { escapeHtml, unescapeHtml } = require('../../utils/text');
+
+// Transport factories by name; more can be added with registerTransport
+const transports = {
+  smtp: () => require('./smtp')(config.smtp),
+  file: () => require('./file')({ dir: config.fileDir }),
+  console: () => require('./console')()
+};
+
+// Transport instance built from config on first use
+let activeTransport = null;
+
+/**
+ * Add or replace a transport factory
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - () => transport
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  activeTransport = null;
+}
+
+/**
+ * The transport selected by config
+ * @returns {Object} - Transport instance
+ */
+function getTransport() {
+  if (activeTransport) return activeTransport;
+
+  const factory = transports[config.transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${config.transport}"`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+}
+
+/**
+ * Absolute URL for a link in an email
+ * Uses APP_URL when set so links don't depend on the request's Host header
+ * @param {Object} req - Express request
+ * @param {string} path - Path starting with /
+ * @returns {string} - Absolute URL
+ */
+function linkUrl(req, path) {
+  return (config.appUrl || `${req.protocol}://${req.get('host')}`) + path;
+}
+
+/**
+ * Send a plain-text email (an HTML version is generated from the text)
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendMail({ to, subject, text }) {
+  const html = text.split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  return getTransport().send({ from: config.from, to, subject, text, html });
+}
+
+/**
+ * Email a password reset link
+ * @param {Object} user - User document
+ * @param {string} link - Reset page URL containing the token
+ * @param {number} minutes - How long the link works
+ */
+function sendPasswordReset(user, link, minutes) {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Movie Manager password',
+    text: `Hi ${unescapeHtml(user.name)},\n\n` +
+      `Someone asked to reset the password for your Movie Manager account. ` +
+      `Open this link within ${minutes} minutes to choose a new password:\n\n${link}\n\n` +
+      `If you didn't ask for this, you can ignore this email; your password has not changed.`
+  });
+}
+
+/**
+ * Email an address verification link
+ * @param {Object} user - User document
+ * @param {string} link - Verification URL containing the token
+ */
+function sendVerification(user, link) {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Movie Manager email address',
+    text: `Hi ${unescapeHtml(user.name)},\n\n` +
+      `Please confirm this is your email address by opening the link below:\n\n${link}\n\n` +
+      `If you didn't create a Movie Manager account, you can ignore this email.`
+  });
+}
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  linkUrl,
+  sendMail,
+  sendPasswordReset,
+  sendVerification
+};
@@ -0,0 +1,24 @@
+/**
+ * SMTP mail transport (nodemailer)
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const nodemailer = require('nodemailer');
+
+module.exports = function smtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
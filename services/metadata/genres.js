@@ -0,0 +1,37 @@
+/**
+ * Mapping of provider genre names onto the app's genres
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+// Provider genre names (lowercase) that differ from ours
+const genreAliases = {
+  'science fiction': 'Sci-Fi',
+  'sci fi': 'Sci-Fi',
+  'scifi': 'Sci-Fi',
+  'adventure': 'Action',
+  'war': 'Action',
+  'crime': 'Thriller',
+  'mystery': 'Thriller',
+  'romantic comedy': 'Romance'
+};
+
+/**
+ * Map provider genre names onto the app's genres, dropping the rest
+ * A provider genre that exists in the app (e.g. "Animation" once an admin
+ * adds it) is used directly; otherwise the aliases above are tried
+ * @param {string[]} names - Genre names from a provider
+ * @param {string[]} available - The app's genre names (Genre.names())
+ * @returns {string[]} - Unique matching genres
+ */
+exports.mapGenres = (names, available) => {
+  const byKey = new Map(available.map(genre => [genre.toLowerCase(), genre]));
+  const genres = new Set();
+
+  (names || []).forEach(name => {
+    const key = String(name).trim().toLowerCase();
+    const genre = byKey.get(key) || byKey.get(String(genreAliases[key] || '').toLowerCase());
+    if (genre) genres.add(genre);
+  });
+
+  return [...genres];
+};
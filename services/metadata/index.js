@@ -0,0 +1,116 @@
+/**
+ * Movie metadata lookup through a configurable provider
+ * Providers are swappable (see config/metadata.js) and responses are cached in MongoDB
+ *
+ * A provider is an object with:
+ * - name: string used in cache keys
+ * - search(query): Promise<[{ id, title, year, coverImage }]>
+ * - details(id): Promise<{ id, title, year, description, genres, coverImage } | null>
+ *   (genres are the provider's own names; movieDetails maps them onto ours)
+ *
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const axios = require('axios');
+
+const config = require('../../config/metadata');
+const MetadataCache = require('../../models/MetadataCache');
+const Genre = require('../../models/Genre');
+const { mapGenres } = require('./genres');
+
+// Provider factories by name; more can be added with registerProvider
+const providers = {
+  tmdb: require('./tmdb'),
+  omdb: require('./omdb')
+};
+
+// Provider instance built from config on first use
+let activeProvider = null;
+
+/**
+ * Add or replace a provider factory
+ * @param {string} name - Value of METADATA_PROVIDER that selects it
+ * @param {Function} factory - (options) => provider
+ */
+function registerProvider(name, factory) {
+  providers[name] = factory;
+  activeProvider = null;
+}
+
+/**
+ * The provider selected by config, or null when lookups are not configured
+ * @returns {Object|null} - Provider instance
+ */
+function getProvider() {
+  if (activeProvider) return activeProvider;
+
+  const factory = providers[config.provider];
+  if (!factory) return null;
+
+  activeProvider = factory({
+    http: axios.create({ timeout: config.timeout }),
+    apiKey: config.apiKey,
+    baseUrl: config.baseUrl,
+    imageBaseUrl: config.imageBaseUrl
+  });
+  return activeProvider;
+}
+
+/**
+ * Return a cached response or load and cache it
+ * Empty results are cached too so repeated misses don't hit the provider
+ * @param {string} key - Cache key
+ * @param {Function} load - Loads the data on a cache miss
+ * @returns {Promise<*>} - Cached or fresh data
+ */
+async function cached(key, load) {
+  const hit = await MetadataCache.findOne({ key, expiresAt: { $gt: new Date() } });
+  if (hit) return hit.data;
+
+  const data = await load();
+  if (data != null) {
+    const expiresAt = new Date(Date.now() + config.cacheTtlHours * 60 * 60 * 1000);
+    await MetadataCache.updateOne({ key }, { data, expiresAt }, { upsert: true });
+  }
+  return data;
+}
+
+/**
+ * Search the provider for movies by title
+ * @param {string} query - Title typed by the user
+ * @returns {Promise<Object[]>} - Search results
+ */
+async function searchMovies(query) {
+  const provider = getProvider();
+  const normalized = query.trim().toLowerCase();
+  return cached(`${provider.name}:search:${normalized}`, () => provider.search(normalized));
+}
+
+/**
+ * Fetch full details for one provider movie
+ * The cache keeps the provider's genre names, so genres added later still match
+ * @param {string} id - Provider movie id
+ * @returns {Promise<Object|null>} - Details with genres mapped onto the app's genres,
+ *   or null if the provider doesn't know it
+ */
+async function movieDetails(id) {
+  const provider = getProvider();
+  const details = await cached(`${provider.name}:details:${id}`, async () => {
+    try {
+      return await provider.details(id);
+    } catch (err) {
+      if (err.response && err.response.status === 404) return null;
+      throw err;
+    }
+  });
+
+  if (!details) return null;
+  return { ...details, genres: mapGenres(details.genres, await Genre.names()) };
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  searchMovies,
+  movieDetails
+};
@@ -0,0 +1,56 @@
+/**
+ * OMDb (Open Movie Database) metadata provider
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const DEFAULT_BASE_URL = 'https://www.omdbapi.com/';
+
+/**
+ * Create an OMDb provider
+ * @param {Object} options - { http, apiKey, baseUrl }
+ * @returns {Object} - Provider with search(query) and details(id)
+ */
+module.exports = function createOmdbProvider({ http, apiKey, baseUrl }) {
+  const root = baseUrl || DEFAULT_BASE_URL;
+
+  // OMDb uses "N/A" for missing values
+  const value = (text) => (text && text !== 'N/A' ? text : '');
+  const yearOf = (text) => parseInt(value(text)) || null;
+
+  return {
+    name: 'omdb',
+
+    async search(query) {
+      const { data } = await http.get(root, {
+        params: { apikey: apiKey, s: query, type: 'movie' }
+      });
+
+      // "Movie not found!" comes back as Response: "False" rather than an HTTP error
+      if (data.Response === 'False') return [];
+
+      return (data.Search || []).map(result => ({
+        id: result.imdbID,
+        title: result.Title,
+        year: yearOf(result.Year),
+        coverImage: value(result.Poster)
+      }));
+    },
+
+    async details(id) {
+      const { data } = await http.get(root, {
+        params: { apikey: apiKey, i: id, plot: 'short' }
+      });
+
+      if (data.Response === 'False') return null;
+
+      return {
+        id: data.imdbID,
+        title: data.Title,
+        year: yearOf(data.Year),
+        description: value(data.Plot),
+        genres: value(data.Genre).split(',').map(name => name.trim()).filter(Boolean),
+        coverImage: value(data.Poster)
+      };
+    }
+  };
+};
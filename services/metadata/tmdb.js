@@ -0,0 +1,50 @@
+/**
+ * TMDB (The Movie Database) metadata provider
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const DEFAULT_BASE_URL = 'https://api.themoviedb.org/3';
+
+/**
+ * Create a TMDB provider
+ * @param {Object} options - { http, apiKey, baseUrl, imageBaseUrl }
+ * @returns {Object} - Provider with search(query) and details(id)
+ */
+module.exports = function createTmdbProvider({ http, apiKey, baseUrl, imageBaseUrl }) {
+  const root = baseUrl || DEFAULT_BASE_URL;
+
+  const posterUrl = (posterPath) => (posterPath ? `${imageBaseUrl}${posterPath}` : '');
+  const yearOf = (date) => (date ? parseInt(date.slice(0, 4)) || null : null);
+
+  return {
+    name: 'tmdb',
+
+    async search(query) {
+      const { data } = await http.get(`${root}/search/movie`, {
+        params: { api_key: apiKey, query, include_adult: false }
+      });
+
+      return (data.results || []).map(result => ({
+        id: String(result.id),
+        title: result.title,
+        year: yearOf(result.release_date),
+        coverImage: posterUrl(result.poster_path)
+      }));
+    },
+
+    async details(id) {
+      const { data } = await http.get(`${root}/movie/${encodeURIComponent(id)}`, {
+        params: { api_key: apiKey }
+      });
+
+      return {
+        id: String(data.id),
+        title: data.title,
+        year: yearOf(data.release_date),
+        description: data.overview || '',
+        genres: (data.genres || []).map(genre => genre.name),
+        coverImage: posterUrl(data.poster_path)
+      };
+    }
+  };
+};
@@ -0,0 +1,234 @@
+/**
+ * Movie import from CSV and JSON files
+ * Parses uploads, maps columns to movie fields and validates each row with the
+ * same rules as the add movie form before anything is saved
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+
+const { movieRules, movieFields } = require('../middleware/validation');
+const { DEFAULT_COVER_IMAGE } = require('./coverStorage');
+const csv = require('../utils/csv');
+
+// Parsed uploads wait here between the preview and the import. Not under
+// UPLOAD_DIR: that is served publicly at /uploads, and these hold whole collections
+const IMPORT_DIR = process.env.IMPORT_DIR || path.join(__dirname, '..', 'imports');
+
+// Largest number of rows accepted in one file
+const MAX_ROWS = 1000;
+
+// Pending imports older than this are deleted
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+// Movie fields a column can be mapped to, with header names recognised automatically
+const importFields = {
+  name: ['name', 'title', 'movie', 'movie title', 'film'],
+  description: ['description', 'plot', 'overview', 'summary'],
+  year: ['year', 'release year', 'released', 'release date'],
+  genres: ['genres', 'genre', 'categories'],
+  tags: ['tags', 'tag', 'labels', 'keywords'],
+  rating: ['rating', 'score', 'my rating', 'stars'],
+  coverImage: ['coverimage', 'cover image', 'cover', 'poster', 'image', 'cover image url'],
+  visibility: ['visibility']
+};
+
+/**
+ * Parse an uploaded CSV or JSON file into rows keyed by column name
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Object} - { columns, rows }
+ * @throws {Error} - With a message suitable for showing to the user
+ */
+function parseFile(file) {
+  const text = file.buffer.toString('utf8');
+  const isJson = /\.json$/i.test(file.originalname) || file.mimetype === 'application/json';
+  let columns;
+  let rows;
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The JSON file could not be read: ' + e.message);
+    }
+
+    // Accept a plain array or the { movies: [...] } shape used by the API
+    const items = Array.isArray(data) ? data : (data && data.movies);
+    if (!Array.isArray(items)) {
+      throw new Error('The JSON file must contain an array of movies');
+    }
+
+    rows = items.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+    columns = [...new Set(rows.flatMap(Object.keys))];
+  } else {
+    let lines;
+    try {
+      lines = csv.parse(text);
+    } catch (e) {
+      throw new Error('The CSV file could not be read: ' + e.message);
+    }
+
+    // First line holds the column names
+    const header = (lines.shift() || []).map((name, i) => name.trim() || `Column ${i + 1}`);
+    columns = header;
+    rows = lines.map(values => {
+      const row = {};
+      header.forEach((name, i) => {
+        // Cells our own export protected from spreadsheet formulas come back as written
+        row[name] = values[i] !== undefined ? csv.fromSpreadsheetSafe(values[i]) : '';
+      });
+      return row;
+    });
+  }
+
+  if (rows.length === 0) {
+    throw new Error('The file does not contain any movies');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`Files can contain at most ${MAX_ROWS} movies (this one has ${rows.length})`);
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * Guess which column holds each movie field from the column names
+ * @param {string[]} columns - Column names from the file
+ * @returns {Object} - field -> column name
+ */
+function guessMapping(columns) {
+  const mapping = {};
+  Object.entries(importFields).forEach(([field, names]) => {
+    const match = columns.find(column => names.includes(column.trim().toLowerCase()));
+    if (match) mapping[field] = match;
+  });
+  return mapping;
+}
+
+/**
+ * Keep only mappings that name a known field and an existing column
+ * @param {Object} mapping - field -> column name from the request
+ * @param {string[]} columns - Column names from the file
+ * @returns {Object} - Clean mapping
+ */
+function cleanMapping(mapping, columns) {
+  const clean = {};
+  Object.keys(importFields).forEach(field => {
+    if (mapping && columns.includes(mapping[field])) clean[field] = mapping[field];
+  });
+  return clean;
+}
+
+/**
+ * Split a multi-value cell ("Action; Sci-Fi") into its names
+ * @param {string|string[]} value - Cell value or JSON array
+ * @returns {string[]} - Names
+ */
+function splitCell(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(/[;|,]/);
+  return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Validate every row with the add movie rules
+ * @param {Object[]} rows - Parsed rows
+ * @param {Object} mapping - field -> column name
+ * @returns {Promise<Object[]>} - { line, name, errors, fields } per row (fields only when valid)
+ */
+async function validateRows(rows, mapping) {
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const body = {};
+    Object.entries(mapping).forEach(([field, column]) => {
+      const value = row[column];
+      body[field] = value == null || Array.isArray(value) ? value : String(value).trim();
+    });
+
+    // Genres are checked against the Genre collection by movieRules
+    body.genres = splitCell(body.genres);
+    if (body.tags !== undefined) body.tags = splitCell(body.tags);
+
+    // Run the same express-validator chains as POST /movies/add
+    const rowReq = { body, query: {}, params: {}, cookies: {}, headers: {} };
+    await Promise.all(movieRules.map(rule => rule.run(rowReq)));
+    const errors = validationResult(rowReq).array().map(err => err.msg);
+
+    results.push({
+      // Line numbers as seen in a spreadsheet (CSV line 1 is the header)
+      line: index + 2,
+      name: row[mapping.name] || '',
+      errors: errors,
+      fields: errors.length === 0
+        ? { ...movieFields(rowReq.body), coverImage: rowReq.body.coverImage || DEFAULT_COVER_IMAGE }
+        : null
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Store a parsed upload until the user confirms the import
+ * Also removes pending imports that were abandoned
+ * @param {Object} data - { columns, rows, filename }
+ * @returns {Promise<string>} - Key for loadImport
+ */
+async function saveImport(data) {
+  await fs.promises.mkdir(IMPORT_DIR, { recursive: true });
+
+  const now = Date.now();
+  const files = await fs.promises.readdir(IMPORT_DIR);
+  await Promise.all(files.map(async name => {
+    const file = path.join(IMPORT_DIR, name);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (stat && now - stat.mtimeMs > STALE_AFTER_MS) {
+      await fs.promises.unlink(file).catch(() => {});
+    }
+  }));
+
+  const key = crypto.randomBytes(16).toString('hex');
+  await fs.promises.writeFile(path.join(IMPORT_DIR, `${key}.json`), JSON.stringify(data));
+  return key;
+}
+
+/**
+ * Load a pending import
+ * @param {string} key - Key from saveImport
+ * @returns {Promise<Object|null>} - { columns, rows, filename } or null if missing
+ */
+async function loadImport(key) {
+  if (!key || !/^[a-f0-9]{32}$/.test(key)) return null;
+
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(IMPORT_DIR, `${key}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Delete a pending import
+ * @param {string} key - Key from saveImport
+ */
+async function discardImport(key) {
+  if (!key || !/^[a-f0-9]{32}$/.test(key)) return;
+  await fs.promises.unlink(path.join(IMPORT_DIR, `${key}.json`)).catch(() => {});
+}
+
+module.exports = {
+  MAX_ROWS,
+  importFields,
+  parseFile,
+  guessMapping,
+  cleanMapping,
+  validateRows,
+  saveImport,
+  loadImport,
+  discardImport
+};
@@ -0,0 +1,64 @@
+/**
+ * GitHub login provider (OAuth 2.0; GitHub has no ID token)
+ * The profile and the primary verified email come from the REST API
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const AUTHORIZE_URL = 'https://github.com/login/oauth/authorize';
+const TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const API_URL = 'https://api.github.com';
+
+/**
+ * Create a GitHub provider
+ * @param {Object} options - { http, clientId, clientSecret, scope }
+ * @returns {Object} - Provider with authorizationUrl(params) and fetchProfile(params)
+ */
+module.exports = function createGithubProvider({ http, clientId, clientSecret, scope }) {
+  return {
+    async authorizationUrl({ redirectUri, state, codeChallenge }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+      return `${AUTHORIZE_URL}?${params}`;
+    },
+
+    async fetchProfile({ code, redirectUri, codeVerifier }) {
+      const { data: tokens } = await http.post(TOKEN_URL, new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      }), { headers: { Accept: 'application/json' } });
+
+      // GitHub reports a bad code with a 200 response
+      if (!tokens.access_token) {
+        throw new Error(`GitHub token exchange failed: ${tokens.error || 'no access token'}`);
+      }
+
+      const headers = {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${tokens.access_token}`
+      };
+      const [{ data: account }, { data: emails }] = await Promise.all([
+        http.get(`${API_URL}/user`, { headers }),
+        http.get(`${API_URL}/user/emails`, { headers })
+      ]);
+
+      const email = emails.find(entry => entry.primary && entry.verified) ||
+        emails.find(entry => entry.verified);
+
+      return {
+        subject: String(account.id),
+        email: email ? email.email.toLowerCase() : '',
+        emailVerified: Boolean(email),
+        name: account.name || account.login
+      };
+    }
+  };
+};
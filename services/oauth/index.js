@@ -0,0 +1,99 @@
+/**
+ * OAuth 2.0 / OpenID Connect login through the providers in config/oauth.js
+ * Handles the parts every provider shares: state, nonce and PKCE
+ *
+ * A provider is an object with:
+ * - authorizationUrl({ redirectUri, state, nonce, codeChallenge }): Promise<string>
+ * - fetchProfile({ code, redirectUri, codeVerifier, nonce }):
+ *   Promise<{ subject, email, emailVerified, name }> (subject is the provider's user id)
+ *
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const config = require('../../config/oauth');
+
+// Provider factories by config type
+const factories = {
+  oidc: require('./oidc'),
+  github: require('./github')
+};
+
+// Provider instances by id, built on first use
+const instances = new Map();
+
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Configured providers for the login and profile pages
+ * @returns {Object[]} - [{ id, name }]
+ */
+function listProviders() {
+  return config.providers.map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Settings of a configured provider
+ * @param {string} id - Provider id (google, github, oidc)
+ * @returns {Object|null} - Provider settings, or null if it isn't configured
+ */
+function getProvider(id) {
+  return config.providers.find(provider => provider.id === id) || null;
+}
+
+function instanceFor(id) {
+  if (!instances.has(id)) {
+    const settings = getProvider(id);
+    instances.set(id, factories[settings.type]({
+      ...settings,
+      http: axios.create({ timeout: config.timeout })
+    }));
+  }
+  return instances.get(id);
+}
+
+/**
+ * Start signing in: where to send the browser and what to keep for the callback
+ * @param {string} id - Provider id
+ * @param {string} redirectUri - Callback URL registered with the provider
+ * @returns {Promise<Object>} - { url, pending: { state, nonce, codeVerifier } }
+ */
+async function beginLogin(id, redirectUri) {
+  const pending = { state: randomValue(), nonce: randomValue(), codeVerifier: randomValue() };
+  const codeChallenge = crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url');
+
+  const url = await instanceFor(id).authorizationUrl({
+    redirectUri,
+    state: pending.state,
+    nonce: pending.nonce,
+    codeChallenge
+  });
+  return { url, pending };
+}
+
+/**
+ * Finish signing in: exchange the code from the callback for the user's profile
+ * The caller has already checked the returned state against pending.state
+ * @param {string} id - Provider id
+ * @param {Object} params - { code, redirectUri, pending } (pending from beginLogin)
+ * @returns {Promise<Object>} - { subject, email, emailVerified, name }
+ */
+async function completeLogin(id, { code, redirectUri, pending }) {
+  if (!code) throw new Error('The provider did not return an authorization code');
+
+  return instanceFor(id).fetchProfile({
+    code: String(code),
+    redirectUri,
+    codeVerifier: pending.codeVerifier,
+    nonce: pending.nonce
+  });
+}
+
+module.exports = {
+  listProviders,
+  getProvider,
+  beginLogin,
+  completeLogin
+};
@@ -0,0 +1,128 @@
+/**
+ * OpenID Connect login provider (Google or any standard issuer)
+ * Endpoints come from the issuer's discovery document and the ID token is
+ * verified against the issuer's published signing keys
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// How long discovery documents and signing keys are reused before fetching again
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Asymmetric algorithms only; the client secret is never used to verify tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Create an OpenID Connect provider
+ * @param {Object} options - { http, id, issuer, clientId, clientSecret, scope }
+ * @returns {Object} - Provider with authorizationUrl(params) and fetchProfile(params)
+ */
+module.exports = function createOidcProvider({ http, issuer, clientId, clientSecret, scope }) {
+  let discovery = null;
+  let keys = null;
+
+  async function endpoints() {
+    if (discovery && discovery.expiresAt > Date.now()) return discovery.document;
+
+    const { data } = await http.get(`${issuer}/.well-known/openid-configuration`);
+    if (data.issuer !== issuer) {
+      throw new Error(`Discovery document is for issuer ${data.issuer}, expected ${issuer}`);
+    }
+    discovery = { document: data, expiresAt: Date.now() + CACHE_TTL_MS };
+    return data;
+  }
+
+  // Public key for the token's key id, fetching the key set again once if it was rotated
+  async function signingKey(kid) {
+    const { jwks_uri: jwksUri } = await endpoints();
+
+    for (const refresh of [false, true]) {
+      if (refresh || !keys || keys.expiresAt <= Date.now()) {
+        const { data } = await http.get(jwksUri);
+        keys = { list: data.keys || [], expiresAt: Date.now() + CACHE_TTL_MS };
+      }
+
+      const jwk = keys.list.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+      if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+    throw new Error(`No signing key ${kid || ''} published by ${issuer}`);
+  }
+
+  async function verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('Malformed ID token');
+
+    const claims = jwt.verify(idToken, await signingKey(decoded.header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer,
+      audience: clientId
+    });
+    if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+    return claims;
+  }
+
+  return {
+    async authorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+      const { authorization_endpoint: endpoint } = await endpoints();
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+      return `${endpoint}?${params}`;
+    },
+
+    async fetchProfile({ code, redirectUri, codeVerifier, nonce }) {
+      const document = await endpoints();
+      const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        client_id: clientId
+      });
+      const headers = { Accept: 'application/json' };
+
+      // client_secret_basic is the default when the issuer doesn't list client_secret_post
+      const authMethods = document.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (authMethods.includes('client_secret_post')) {
+        form.set('client_secret', clientSecret);
+      } else {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      }
+
+      const { data: tokens } = await http.post(document.token_endpoint, form, { headers });
+      if (!tokens.id_token) throw new Error('The token response has no ID token');
+
+      const claims = await verifyIdToken(tokens.id_token, nonce);
+      let { email, email_verified: emailVerified, name } = claims;
+
+      // Some issuers only put the email in the userinfo response
+      if (!email && document.userinfo_endpoint && tokens.access_token) {
+        const { data: info } = await http.get(document.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (info.sub === claims.sub) {
+          email = info.email;
+          emailVerified = info.email_verified;
+          name = name || info.name;
+        }
+      }
+
+      return {
+        subject: String(claims.sub),
+        email: String(email || '').toLowerCase(),
+        emailVerified: emailVerified === true || emailVerified === 'true',
+        name: name || claims.preferred_username || ''
+      };
+    }
+  };
+};
@@ -0,0 +1,111 @@
+/**
+ * Live updates pushed to open pages over Server-Sent Events
+ * A page opens one stream (GET /events, logged in through the session cookie) and
+ * every event for a user goes to all of that user's streams, e.g. other tabs showing
+ * the movie list. Streams are kept in this process's memory, so with several app
+ * processes each one only reaches the pages connected to it.
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+// Comment line sent regularly so proxies don't close quiet streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long the browser waits before reconnecting a dropped stream
+const RETRY_MS = 5 * 1000;
+
+// Most open streams per user; the oldest is closed when another one opens
+const MAX_STREAMS_PER_USER = 10;
+
+// userId -> Set of { res, sessionId }
+const streams = new Map();
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Response of an open stream
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turn a request into an event stream for the logged-in user
+ * The stream stays open until the page goes away or disconnect() ends it
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} res - Express response
+ */
+function open(req, res) {
+  const userId = req.user._id.toString();
+  const stream = { res, sessionId: req.sessionID };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  const userStreams = streams.get(userId);
+  userStreams.add(stream);
+  if (userStreams.size > MAX_STREAMS_PER_USER) {
+    const [oldest] = userStreams;
+    oldest.res.end();
+  }
+
+  res.on('close', () => {
+    userStreams.delete(stream);
+    if (userStreams.size === 0 && streams.get(userId) === userStreams) streams.delete(userId);
+  });
+}
+
+/**
+ * Send an event to every open page of a user
+ * @param {string|ObjectId} userId - User to notify
+ * @param {string} event - Event name, e.g. 'movie-updated'
+ * @param {Object} data - JSON payload
+ */
+function publish(userId, event, data) {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return;
+  userStreams.forEach(stream => send(stream.res, event, data));
+}
+
+/**
+ * Close streams, e.g. when a session logs out or an account is disabled or deleted
+ * (browsers reconnect, and the new request is refused once the session is gone)
+ * @param {Object} which - { userId } for all of a user's streams, or { sessionId } for one session
+ */
+function disconnect({ userId, sessionId }) {
+  streams.forEach((userStreams, id) => {
+    userStreams.forEach(stream => {
+      if ((userId && id === userId.toString()) || (sessionId && stream.sessionId === sessionId)) {
+        stream.res.end();
+      }
+    });
+  });
+}
+
+/**
+ * Attach the live updates to the HTTP server: a heartbeat keeps the open streams
+ * alive for as long as the server runs
+ * @param {Object} server - http.Server from bin/www
+ */
+function attach(server) {
+  const heartbeat = setInterval(() => {
+    streams.forEach(userStreams => userStreams.forEach(stream => stream.res.write(': ping\n\n')));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  server.on('close', () => clearInterval(heartbeat));
+}
+
+module.exports = {
+  open,
+  publish,
+  disconnect,
+  attach
+};
@@ -0,0 +1,365 @@
+/**
+ * Movie recommendations
+ * Content-based: candidates are scored by genre overlap, release year and
+ * shared description keywords against the titles the user rated highly.
+ * Collaborative: other users who publicly rated the same titles highly
+ * lend weight to the other titles they rated highly.
+ * Results are cached per user; routes that add, edit or delete movies
+ * call invalidate() so the next request recomputes them. The cache is kept in
+ * this process only, so whether each movie can still be shown is checked again
+ * whenever cached results are served.
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const Movie = require('../models/Movie');
+const User = require('../models/User');
+const { unescapeHtml } = require('../utils/text');
+
+// Ratings at or above this count as "liked" and drive the suggestions
+const LIKED_RATING = 7;
+
+// Share of the content score from each similarity signal
+const GENRE_WEIGHT = 0.5;
+const YEAR_WEIGHT = 0.2;
+const KEYWORD_WEIGHT = 0.3;
+
+// Years apart at which release years stop counting as similar
+const YEAR_SPAN = 20;
+
+// Share of the final score from the collaborative signal (when there is one)
+const COLLABORATIVE_WEIGHT = 0.25;
+
+// Most public movies from other users considered per request
+const PUBLIC_POOL_LIMIT = 500;
+
+// Recommendations kept per user, and the weakest match worth showing
+const MAX_RECOMMENDATIONS = 24;
+const MIN_SCORE = 0.1;
+
+// Cached results expire so other users' public movies are picked up
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const CACHE_MAX_USERS = 500;
+
+// Words too common to say anything about a movie
+const STOP_WORDS = new Set(`
+  a about after again against all also an and any are as at be because been before being
+  between both but by can could did do does doing down during each few for from further had
+  has have having he her here hers him his how i if in into is it its just me more most my
+  no nor not now of off on once only or other our out over own same she should so some such
+  than that the their them then there these they this those through to too under until up
+  very was we were what when where which while who whom why will with you your film movie story
+`.split(/\s+/).filter(Boolean));
+
+// userId -> { expiresAt, pool, recommendations }
+const cache = new Map();
+// userId -> promise of a computation in progress
+const pending = new Map();
+
+// Same title and year count as the same movie across collections
+const titleKey = (movie) => `${String(movie.name).trim().toLowerCase()}|${movie.year}`;
+
+/**
+ * Distinct keywords in a description (lowercase, no stop words or short words)
+ * @param {string} text - Description as stored (HTML-escaped)
+ * @returns {Set<string>} - Keywords
+ */
+function keywords(text) {
+  const words = unescapeHtml(text).toLowerCase().match(/[a-z0-9']+/g) || [];
+  return new Set(words
+    .map(word => word.replace(/'s$|'/g, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+// Share of the combined items that two sets have in common (0-1)
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// What the similarity measure looks at for a movie
+function features(movie) {
+  return {
+    genres: new Set(movie.genres),
+    year: movie.year,
+    keywords: keywords(movie.description)
+  };
+}
+
+/**
+ * Content similarity between two movies (0-1)
+ * @param {Object} a - Result of features()
+ * @param {Object} b - Result of features()
+ * @returns {number} - Similarity
+ */
+function similarity(a, b) {
+  const yearScore = Math.max(0, 1 - Math.abs(a.year - b.year) / YEAR_SPAN);
+  return GENRE_WEIGHT * jaccard(a.genres, b.genres) +
+    YEAR_WEIGHT * yearScore +
+    KEYWORD_WEIGHT * jaccard(a.keywords, b.keywords);
+}
+
+/**
+ * Owners whose public movies can be suggested to other users: not disabled,
+ * and not keeping their collection private
+ * @param {ObjectId[]} ownerIds - Owners to check
+ * @returns {Promise<Set<string>>} - Ids of the owners that qualify
+ */
+async function visibleOwners(ownerIds) {
+  const owners = await User.find({
+    _id: { $in: ownerIds },
+    disabled: { $ne: true },
+    collectionVisibility: { $ne: 'private' }
+  }).distinct('_id');
+  return new Set(owners.map(String));
+}
+
+/**
+ * Movies among cached suggestions that can still be shown
+ * Since they were cached, another app process may have trashed a movie or
+ * made it private, or its owner may have been disabled or hidden their collection
+ * @param {Object[]} suggestions - Items with { movie, owned }
+ * @returns {Promise<Set<string>>} - Ids of the movies that can still be shown
+ */
+async function stillVisible(suggestions) {
+  const owned = new Set(suggestions
+    .filter(suggestion => suggestion.owned)
+    .map(suggestion => suggestion.movie._id.toString()));
+
+  // Trashed movies aren't found
+  const movies = await Movie.find({
+    _id: { $in: suggestions.map(suggestion => suggestion.movie._id) }
+  }).select('userId visibility');
+
+  const others = movies.filter(movie => !owned.has(movie.id) && movie.visibility === 'public');
+  const owners = await visibleOwners(others.map(movie => movie.userId));
+
+  return new Set(movies
+    .filter(movie => owned.has(movie.id) || (movie.visibility === 'public' && owners.has(movie.userId.toString())))
+    .map(movie => movie.id));
+}
+
+/**
+ * Count, for each title, how many other users who liked one of the user's
+ * liked titles also liked it (item-to-item co-occurrence over public movies)
+ * @param {ObjectId} userId - User to recommend for
+ * @param {Object[]} liked - The user's liked movies
+ * @param {Set<string>} ownKeys - Title keys already in the user's collection
+ * @returns {Promise<Object>} - { counts: Map titleKey -> users, neighbours, movies }
+ */
+async function coLiked(userId, liked, ownKeys) {
+  const likedKeys = new Set(liked.map(titleKey));
+
+  // Other users' public copies of the titles this user liked
+  const matches = await Movie.find({
+    userId: { $ne: userId },
+    visibility: 'public',
+    rating: { $gte: LIKED_RATING },
+    name: { $in: liked.map(movie => movie.name) }
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .select('userId name year');
+
+  const neighbours = [...new Set(matches
+    .filter(movie => likedKeys.has(titleKey(movie)))
+    .map(movie => movie.userId.toString()))];
+
+  if (neighbours.length === 0) return { counts: new Map(), neighbours: 0, movies: [] };
+
+  const movies = await Movie.find({
+    userId: { $in: neighbours },
+    visibility: 'public',
+    rating: { $gte: LIKED_RATING }
+  }).limit(PUBLIC_POOL_LIMIT);
+
+  // Each neighbour counts once per title
+  const seen = new Set();
+  const counts = new Map();
+  movies.forEach(movie => {
+    const key = titleKey(movie);
+    const pair = `${movie.userId}|${key}`;
+    if (ownKeys.has(key) || seen.has(pair)) return;
+    seen.add(pair);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return { counts, neighbours: neighbours.length, movies };
+}
+
+/**
+ * Work out a user's recommendations from scratch
+ * Candidates are the user's own unwatched movies and other users' public
+ * movies that aren't already in the collection
+ * @param {ObjectId} userId - User to recommend for
+ * @returns {Promise<Object>} - Cache entry { expiresAt, pool, recommendations }
+ */
+async function compute(userId) {
+  const own = await Movie.find({ userId });
+  const ownKeys = new Set(own.map(titleKey));
+
+  // The user's highly rated titles, weighted so a 10 counts four times a 7
+  const liked = own
+    .filter(movie => movie.rating >= LIKED_RATING)
+    .map(movie => ({ movie, features: features(movie), weight: movie.rating - LIKED_RATING + 1 }));
+
+  const likedGenres = [...new Set(liked.flatMap(seed => seed.movie.genres))];
+
+  const [publicMovies, collaborative] = await Promise.all([
+    likedGenres.length === 0 ? [] : Movie.find({
+      userId: { $ne: userId },
+      visibility: 'public',
+      genres: { $in: likedGenres }
+    })
+      .sort({ rating: -1, createdAt: -1 })
+      .limit(PUBLIC_POOL_LIMIT),
+    liked.length === 0
+      ? { counts: new Map(), neighbours: 0, movies: [] }
+      : coLiked(userId, liked.map(seed => seed.movie), ownKeys)
+  ]);
+
+  const owners = await visibleOwners([...collaborative.movies, ...publicMovies].map(movie => movie.userId));
+
+  // One candidate per title; the user's own copy wins over public ones
+  const pool = new Map();
+  own.filter(movie => movie.status === 'unwatched').forEach(movie => {
+    pool.set(movie._id.toString(), { movie, owned: true, features: features(movie) });
+  });
+  const publicKeys = new Set();
+  [...collaborative.movies, ...publicMovies].forEach(movie => {
+    const key = titleKey(movie);
+    if (ownKeys.has(key) || publicKeys.has(key) || !owners.has(movie.userId.toString())) return;
+    publicKeys.add(key);
+    pool.set(movie._id.toString(), { movie, owned: false, features: features(movie) });
+  });
+
+  const recommendations = [];
+  pool.forEach(candidate => {
+    let total = 0;
+    let totalWeight = 0;
+    let because = null;
+    let bestContribution = 0;
+
+    liked.forEach(seed => {
+      if (seed.movie._id.equals(candidate.movie._id)) return;
+      const contribution = seed.weight * similarity(seed.features, candidate.features);
+      total += contribution;
+      totalWeight += seed.weight;
+      if (contribution > bestContribution) {
+        bestContribution = contribution;
+        because = seed.movie;
+      }
+    });
+    if (totalWeight === 0) return;
+
+    // Other users who liked this title along with one of the user's favourites
+    const likedBy = collaborative.counts.get(titleKey(candidate.movie)) || 0;
+    let score = total / totalWeight;
+    if (collaborative.neighbours > 0) {
+      score = (1 - COLLABORATIVE_WEIGHT) * score +
+        COLLABORATIVE_WEIGHT * (likedBy / collaborative.neighbours);
+    }
+
+    if (score < MIN_SCORE) return;
+
+    recommendations.push({
+      movie: candidate.movie,
+      owned: candidate.owned,
+      score: Math.round(score * 100) / 100,
+      because: because && { _id: because._id, name: because.name, rating: because.rating },
+      likedBy
+    });
+  });
+
+  recommendations.sort((a, b) => b.score - a.score || b.movie.rating - a.movie.rating);
+
+  return {
+    expiresAt: Date.now() + CACHE_TTL_MS,
+    pool: [...pool.values()],
+    recommendations: recommendations.slice(0, MAX_RECOMMENDATIONS)
+  };
+}
+
+/**
+ * Cached recommendations for a user, computing them if needed
+ * @param {ObjectId} userId - User to recommend for
+ * @returns {Promise<Object>} - Cache entry { expiresAt, pool, recommendations }
+ */
+async function load(userId) {
+  const key = userId.toString();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  // Share one computation between requests arriving together
+  if (!pending.has(key)) {
+    const computation = compute(userId);
+    pending.set(key, computation);
+    computation
+      .then(entry => {
+        // Don't keep a result that was invalidated while it was computed
+        if (pending.get(key) !== computation) return;
+        cache.delete(key);
+        if (cache.size >= CACHE_MAX_USERS) cache.delete(cache.keys().next().value);
+        cache.set(key, entry);
+      })
+      .catch(() => {})
+      .finally(() => {
+        if (pending.get(key) === computation) pending.delete(key);
+      });
+  }
+  return pending.get(key);
+}
+
+/**
+ * Movies recommended for a user, best first
+ * @param {ObjectId} userId - User to recommend for
+ * @returns {Promise<Object[]>} - { movie, owned, score, because, likedBy }
+ */
+exports.forUser = async (userId) => {
+  const { recommendations } = await load(userId);
+  const visible = await stillVisible(recommendations);
+  return recommendations.filter(rec => visible.has(rec.movie._id.toString()));
+};
+
+/**
+ * "You might also like" suggestions for the movie being viewed
+ * Mostly similarity to that movie, nudged by the user's overall recommendations
+ * @param {ObjectId} userId - Viewing user
+ * @param {Object} movie - Movie being viewed
+ * @param {number} [limit] - Number of suggestions
+ * @returns {Promise<Object[]>} - { movie, owned, score }
+ */
+exports.similarTo = async (userId, movie, limit = 4) => {
+  const { pool, recommendations } = await load(userId);
+  const overall = new Map(recommendations.map(rec => [rec.movie._id.toString(), rec.score]));
+  const target = features(movie);
+  const key = titleKey(movie);
+
+  const suggestions = pool
+    .filter(candidate => !candidate.movie._id.equals(movie._id) && titleKey(candidate.movie) !== key)
+    .map(candidate => ({
+      movie: candidate.movie,
+      owned: candidate.owned,
+      score: 0.7 * similarity(target, candidate.features) +
+        0.3 * (overall.get(candidate.movie._id.toString()) || 0)
+    }))
+    .filter(suggestion => suggestion.score > 0.3);
+
+  const visible = await stillVisible(suggestions);
+  return suggestions
+    .filter(suggestion => visible.has(suggestion.movie._id.toString()))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Forget a user's cached recommendations after their movies change
+ * @param {ObjectId} userId - Owner of the changed movies
+ */
+exports.invalidate = (userId) => {
+  const key = userId.toString();
+  cache.delete(key);
+  pending.delete(key);
+};
+
+exports.LIKED_RATING = LIKED_RATING;
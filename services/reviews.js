@@ -0,0 +1,143 @@
+/**
+ * Community reviews: loading them with their comment threads, and removing
+ * reviews and comments together with what depends on them
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const Review = require('../models/Review');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+
+// Replies nested deeper than this are shown at the last level
+const MAX_THREAD_DEPTH = 4;
+
+/**
+ * Arrange a review's comments into threads
+ * Replies whose parent is gone are shown as top-level comments
+ * @param {Object[]} comments - Comments oldest first
+ * @returns {Object[]} - [{ comment, replies: [...] }]
+ */
+function buildThreads(comments) {
+  const nodes = new Map(comments.map(comment => [comment.id, { comment, replies: [] }]));
+  const threads = [];
+
+  nodes.forEach(node => {
+    const parent = node.comment.parentId && nodes.get(node.comment.parentId.toString());
+    (parent ? parent.replies : threads).push(node);
+  });
+  return threads;
+}
+
+/**
+ * Reviews of a movie for the details page, newest first, each with its comment threads
+ * @param {Object} movie - Movie document
+ * @param {Object|null} viewer - Logged-in user
+ * @returns {Promise<Object>} - { reviews: [{ review, threads }], summary, ownReview, reportedIds,
+ *   reportReasons, maxDepth } (the last two for the review forms and thread layout)
+ */
+async function forMovie(movie, viewer) {
+  const reviews = await Review.find({ movieId: movie._id })
+    .sort({ createdAt: -1 })
+    .populate('userId', 'name');
+
+  const comments = await Comment.find({ reviewId: { $in: reviews.map(review => review._id) } })
+    .sort({ createdAt: 1 })
+    .populate('userId', 'name');
+
+  const byReview = new Map();
+  comments.forEach(comment => {
+    const key = comment.reviewId.toString();
+    if (!byReview.has(key)) byReview.set(key, []);
+    byReview.get(key).push(comment);
+  });
+
+  // Content the viewer has already reported, so the report button can say so
+  const reportedIds = viewer
+    ? (await Report.find({
+      reporterId: viewer._id,
+      targetId: { $in: [...reviews, ...comments].map(doc => doc._id) }
+    }).distinct('targetId')).map(String)
+    : [];
+
+  return {
+    reviews: reviews.map(review => ({ review, threads: buildThreads(byReview.get(review.id) || []) })),
+    summary: Review.summarize(reviews),
+    ownReview: viewer ? reviews.find(review => review.userId && review.userId._id.equals(viewer._id)) || null : null,
+    reportedIds,
+    reportReasons: Report.reportReasons,
+    maxDepth: MAX_THREAD_DEPTH
+  };
+}
+
+/**
+ * Delete reviews with their comments and any reports about them
+ * @param {Object} filter - Review query
+ * @returns {Promise<number>} - Number of reviews deleted
+ */
+async function removeReviews(filter) {
+  const reviewIds = await Review.find(filter).distinct('_id');
+  if (reviewIds.length === 0) return 0;
+
+  const commentIds = await Comment.find({ reviewId: { $in: reviewIds } }).distinct('_id');
+  await Promise.all([
+    Comment.deleteMany({ reviewId: { $in: reviewIds } }),
+    Report.deleteMany({ targetId: { $in: [...reviewIds, ...commentIds] } })
+  ]);
+  const result = await Review.deleteMany({ _id: { $in: reviewIds } });
+  return result.deletedCount;
+}
+
+/**
+ * Delete a comment
+ * A comment with replies becomes a "deleted" placeholder so the thread still reads;
+ * placeholders left without replies are cleaned up
+ * @param {Object} comment - Comment document
+ */
+async function removeComment(comment) {
+  await Report.deleteMany({ targetId: comment._id });
+
+  if (await Comment.exists({ parentId: comment._id })) {
+    comment.body = '';
+    comment.deletedAt = new Date();
+    await comment.save();
+    return;
+  }
+
+  await comment.deleteOne();
+
+  // Walk up through placeholders that no longer have any replies
+  let parentId = comment.parentId;
+  while (parentId) {
+    const parent = await Comment.findOne({ _id: parentId, deletedAt: { $ne: null } });
+    if (!parent || await Comment.exists({ parentId: parent._id })) break;
+
+    await parent.deleteOne();
+    parentId = parent.parentId;
+  }
+}
+
+/**
+ * Remove community content tied to a user's account
+ * Reviews of their movies and reviews they wrote go with their threads;
+ * their comments elsewhere are deleted (replies to them move up a level)
+ * @param {string|ObjectId} userId - User being deleted
+ * @param {ObjectId[]} movieIds - Ids of the user's movies
+ */
+async function removeForUser(userId, movieIds) {
+  await removeReviews({ $or: [{ movieId: { $in: movieIds } }, { userId }] });
+
+  const commentIds = await Comment.find({ userId }).distinct('_id');
+  await Promise.all([
+    Comment.deleteMany({ _id: { $in: commentIds } }),
+    Report.deleteMany({ $or: [{ targetId: { $in: commentIds } }, { reporterId: userId }] })
+  ]);
+}
+
+module.exports = {
+  MAX_THREAD_DEPTH,
+  buildThreads,
+  forMovie,
+  removeReviews,
+  removeComment,
+  removeForUser
+};
@@ -0,0 +1,87 @@
+/**
+ * express-session store that keeps sessions in MongoDB through the app's
+ * mongoose connection, so logins survive restarts and work across processes
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const session = require('express-session');
+const Session = require('../models/Session');
+
+/**
+ * When a session should expire: its cookie's expiry, or defaultTtlMs from now
+ * for browser-session cookies (no expiry of their own)
+ */
+function expiryOf(sess, defaultTtlMs) {
+  const expires = sess && sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + defaultTtlMs);
+}
+
+class MongooseStore extends session.Store {
+  /**
+   * @param {Object} options
+   * @param {number} options.defaultTtlMs - Lifetime of sessions whose cookie has no expiry
+   * @param {number} [options.touchAfterMs=0] - Only push back the expiry of an unchanged
+   *   session once it is at least this old
+   */
+  constructor({ defaultTtlMs, touchAfterMs = 0 }) {
+    super();
+    this.defaultTtlMs = defaultTtlMs;
+    this.touchAfterMs = touchAfterMs;
+  }
+
+  // express-session Store interface (get, set, touch, destroy, clear, length)
+
+  get(sid, callback) {
+    Session.findById(sid).lean()
+      .then(doc => {
+        // The TTL monitor only runs once a minute
+        if (!doc || doc.expires <= new Date()) return callback(null, null);
+        callback(null, JSON.parse(doc.session));
+      })
+      .catch(callback);
+  }
+
+  set(sid, sess, callback) {
+    Session.updateOne(
+      { _id: sid },
+      { session: JSON.stringify(sess), expires: expiryOf(sess, this.defaultTtlMs) },
+      { upsert: true }
+    )
+      .then(() => callback && callback(null))
+      .catch(err => callback && callback(err));
+  }
+
+  touch(sid, sess, callback) {
+    const expires = expiryOf(sess, this.defaultTtlMs);
+
+    // Skip the write while the stored expiry is recent enough
+    Session.updateOne(
+      { _id: sid, expires: { $lt: new Date(expires.getTime() - this.touchAfterMs) } },
+      { expires: expires }
+    )
+      .then(() => callback && callback(null))
+      .catch(err => callback && callback(err));
+  }
+
+  destroy(sid, callback) {
+    Session.deleteOne({ _id: sid })
+      .then(() => callback && callback(null))
+      .catch(err => callback && callback(err));
+  }
+
+  clear(callback) {
+    Session.deleteMany({})
+      .then(() => callback && callback(null))
+      .catch(err => callback && callback(err));
+  }
+
+  length(callback) {
+    Session.countDocuments({ expires: { $gt: new Date() } })
+      .then(count => callback(null, count))
+      .catch(callback);
+  }
+}
+
+module.exports = {
+  MongooseStore
+};
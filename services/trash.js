@@ -0,0 +1,106 @@
+/**
+ * Movie trash: soft delete, restore, permanent delete and the scheduled purge
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const Movie = require('../models/Movie');
+const List = require('../models/List');
+const config = require('../config/trash');
+const { removeCover } = require('./coverStorage');
+const recommendations = require('./recommendations');
+const reviews = require('./reviews');
+const realtime = require('./realtime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a trashed movie will be removed for good
+ * @param {Object} movie - Trashed movie
+ * @returns {Date} - Purge date
+ */
+function purgeDate(movie) {
+  return new Date(movie.deletedAt.getTime() + config.retentionDays * DAY_MS);
+}
+
+/**
+ * Move a movie to the trash
+ * It is taken out of the owner's lists; restoreMovie puts it back
+ * @param {Object} movie - Movie document
+ */
+async function trashMovie(movie) {
+  const lists = await List.find({ userId: movie.userId, movies: movie._id }).select('_id');
+  await List.updateMany({ userId: movie.userId }, { $pull: { movies: movie._id } });
+
+  movie.deletedAt = new Date();
+  movie.trashedFromLists = lists.map(list => list._id);
+  await movie.save({ validateBeforeSave: false });
+  recommendations.invalidate(movie.userId);
+  realtime.publish(movie.userId, 'movie-deleted', { id: movie.id, name: movie.name });
+}
+
+/**
+ * Take a movie out of the trash and back into the lists it was in
+ * @param {Object} movie - Trashed movie
+ */
+async function restoreMovie(movie) {
+  await List.updateMany(
+    { _id: { $in: movie.trashedFromLists }, userId: movie.userId },
+    { $addToSet: { movies: movie._id } }
+  );
+
+  movie.deletedAt = null;
+  movie.trashedFromLists = [];
+  await movie.save({ validateBeforeSave: false });
+  recommendations.invalidate(movie.userId);
+  realtime.publish(movie.userId, 'movie-added', { id: movie.id, name: movie.name, restored: true });
+}
+
+/**
+ * Delete a movie for good, with its uploaded cover and community reviews
+ * @param {Object} movie - Movie document
+ */
+async function purgeMovie(movie) {
+  await movie.deleteOne();
+  await reviews.removeReviews({ movieId: movie._id });
+  await List.updateMany({ userId: movie.userId }, { $pull: { movies: movie._id } });
+  await removeCover(movie.coverUpload);
+}
+
+/**
+ * Delete every movie that has been in the trash longer than the retention period
+ * @returns {Promise<number>} - Number of movies purged
+ */
+async function purgeExpired() {
+  const cutoff = new Date(Date.now() - config.retentionDays * DAY_MS);
+  const expired = await Movie.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const movie of expired) {
+    await purgeMovie(movie);
+  }
+  return expired.length;
+}
+
+/**
+ * Purge expired movies now and then every purgeIntervalMinutes
+ * Called once the database connection is open
+ */
+function schedulePurge() {
+  const run = () => purgeExpired()
+    .then(count => {
+      if (count > 0) console.log(`Purged ${count} movies from the trash`);
+    })
+    .catch(err => console.error('Error purging trash:', err));
+
+  run();
+  // Don't keep the process alive just for the purge
+  setInterval(run, config.purgeIntervalMinutes * 60 * 1000).unref();
+}
+
+module.exports = {
+  purgeDate,
+  trashMovie,
+  restoreMovie,
+  purgeMovie,
+  purgeExpired,
+  schedulePurge
+};
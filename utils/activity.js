@@ -0,0 +1,72 @@
+/**
+ * Feed activity for movies (see models/Activity.js)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+/**
+ * Activity a save produces
+ * @param {Object} doc - Document being saved
+ * @returns {Object[]} - [{ type, details }]
+ */
+function eventsFor(doc) {
+  if (doc.isNew) return [{ type: 'movie-added', details: { rating: doc.rating } }];
+
+  const events = [];
+  if (doc.isModified('rating')) events.push({ type: 'movie-rated', details: { rating: doc.rating } });
+  if (doc.isModified('status') && doc.status === 'watched') events.push({ type: 'movie-watched', details: {} });
+  return events;
+}
+
+/**
+ * Mongoose plugin that writes Activity events when a movie is created (including
+ * insertMany), re-rated or marked as watched.
+ * Events are written whatever the movie's visibility; the feed decides what to show
+ * when it is read, so a movie made private later also drops out of feeds.
+ * Like the history plugin, updates by filter are not seen.
+ * Options:
+ * - Activity: the Activity model
+ * - actor: function returning the user id the activity belongs to
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - See above
+ */
+exports.activityPlugin = (schema, { Activity, actor }) => {
+  schema.pre('save', function() {
+    const events = eventsFor(this);
+    if (events.length > 0) this.$locals.pendingActivity = events;
+  });
+
+  schema.post('save', async function() {
+    const events = this.$locals.pendingActivity;
+    delete this.$locals.pendingActivity;
+    if (!events) return;
+
+    try {
+      await Activity.insertMany(events.map(event => ({
+        ...event,
+        actorId: actor(this),
+        movieId: this._id
+      })));
+    } catch (err) {
+      // The movie itself was saved; a missing feed entry shouldn't fail the request
+      console.error('Error recording activity:', err);
+    }
+  });
+
+  schema.post('insertMany', async function(docs) {
+    try {
+      await Activity.insertMany(docs.map(doc => ({
+        type: 'movie-added',
+        actorId: actor(doc),
+        movieId: doc._id,
+        details: { rating: doc.rating }
+      })));
+    } catch (err) {
+      console.error('Error recording activity:', err);
+    }
+  });
+
+  // A document deleted for good takes its activity with it
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await Activity.deleteMany({ movieId: this._id });
+  });
+};
@@ -0,0 +1,89 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows (blank lines are skipped)
+ */
+exports.parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Ignore a UTF-8 byte order mark from spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV file has an unclosed quoted field');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Format one CSV line, quoting fields where needed
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line ending in CRLF
+ */
+exports.formatRow = (values) => values.map(value => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+// Leading characters that make spreadsheet apps treat a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Stop spreadsheet apps from running an exported cell as a formula
+ * Text starting with =, +, -, @, a tab or a carriage return gets a leading '
+ * @param {*} value - Cell value
+ * @returns {*} - Value safe to open in a spreadsheet
+ */
+exports.spreadsheetSafe = (value) =>
+  (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+/**
+ * Undo spreadsheetSafe() when a file is imported again
+ * @param {string} value - Cell value
+ * @returns {string} - Original text
+ */
+exports.fromSpreadsheetSafe = (value) =>
+  (value[0] === '\'' && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
@@ -0,0 +1,139 @@
+/**
+ * Change history (versioning) for Mongoose models
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+// Plain copy of a value that can be stored and compared (arrays, ids and dates as JSON)
+const plain = (value) => value == null ? null : JSON.parse(JSON.stringify(value));
+
+/**
+ * Tracked field values of a document
+ * @param {Object} doc - Mongoose document
+ * @param {string[]} fields - Paths to copy
+ * @returns {Object} - { field: value }
+ */
+function snapshot(doc, fields) {
+  return Object.fromEntries(fields.map(field => [field, plain(doc.get(field))]));
+}
+
+/**
+ * Fields whose values differ between two snapshots
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+function diff(before, after) {
+  return Object.keys(after)
+    .map(field => ({ field, from: field in before ? before[field] : null, to: after[field] }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+}
+
+/**
+ * What a save does to the document, for the revision's action
+ * @param {Object} doc - Document being saved
+ * @returns {string} - create, update, delete, restore or revert
+ */
+function actionFor(doc) {
+  if (doc.isNew) return 'create';
+  if (doc.$locals.revertedTo) return 'revert';
+  // Moving in or out of the trash (see utils/softDelete.js)
+  if (doc.isModified('deletedAt')) return doc.deletedAt ? 'delete' : 'restore';
+  return 'update';
+}
+
+/**
+ * Mongoose plugin that stores a Revision each time a document is created or saved
+ * (including insertMany), with the changed fields, the actor and a timestamp.
+ * Saves that change no tracked field are not recorded.
+ * Updates by filter (updateOne, updateMany, findByIdAndUpdate) bypass the history,
+ * so versioned documents should be changed with save().
+ * Options:
+ * - Revision: the Revision model
+ * - fields: paths to track
+ * - revertable: paths revertTo() puts back (defaults to fields)
+ * - actor: function returning the user id to record when doc.$locals.actor isn't set
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - See above
+ */
+exports.historyPlugin = (schema, { Revision, fields, revertable = fields, actor }) => {
+  // Remember the values as loaded to diff against on save
+  schema.post('init', function() {
+    this.$locals.savedValues = snapshot(this, fields);
+  });
+
+  schema.pre('save', function() {
+    const action = actionFor(this);
+    const values = snapshot(this, fields);
+    const changes = action === 'create' ? [] : diff(this.$locals.savedValues || {}, values);
+
+    if (action === 'update' && changes.length === 0) return;
+    this.$locals.pendingRevision = { action, changes, snapshot: values };
+  });
+
+  schema.post('save', async function() {
+    const pending = this.$locals.pendingRevision;
+    const revertedTo = this.$locals.revertedTo || null;
+    delete this.$locals.pendingRevision;
+    delete this.$locals.revertedTo;
+    if (!pending) return;
+
+    this.$locals.savedValues = pending.snapshot;
+    try {
+      await Revision.create({
+        ...pending,
+        kind: this.constructor.modelName,
+        documentId: this._id,
+        actorId: this.$locals.actor || actor(this),
+        revertedTo: revertedTo
+      });
+    } catch (err) {
+      // The change itself was saved; a missing version shouldn't fail the request
+      console.error('Error recording revision:', err);
+    }
+  });
+
+  schema.post('insertMany', async function(docs) {
+    try {
+      await Revision.insertMany(docs.map(doc => ({
+        kind: this.modelName,
+        documentId: doc._id,
+        action: 'create',
+        actorId: actor(doc),
+        snapshot: snapshot(doc, fields)
+      })));
+    } catch (err) {
+      console.error('Error recording revisions:', err);
+    }
+  });
+
+  // A document deleted for good takes its history with it
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await Revision.deleteMany({ kind: this.constructor.modelName, documentId: this._id });
+  });
+
+  /**
+   * Versions of this document, newest first, with the actor's name
+   * @param {number} [limit=20] - Most versions to return
+   * @returns {Promise<Object[]>} - Revision documents
+   */
+  schema.methods.revisions = function(limit = 20) {
+    return Revision.find({ kind: this.constructor.modelName, documentId: this._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .populate('actorId', 'name');
+  };
+
+  /**
+   * Put the revertable fields back the way they were after a revision
+   * The change is recorded as a 'revert' version when the document is saved
+   * @param {Object} revision - Revision of this document
+   * @returns {Object} - The document (not saved yet)
+   */
+  schema.methods.revertTo = function(revision) {
+    revertable
+      .filter(field => field in revision.snapshot)
+      .forEach(field => this.set(field, revision.snapshot[field]));
+    this.$locals.revertedTo = revision._id;
+    return this;
+  };
+};
@@ -0,0 +1,19 @@
+/**
+ * Pagination helpers for list pages
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+/**
+ * Build a function that returns the URL of another page of the current list
+ * Keeps the current filters and sort order in the query string
+ * @param {Object} req - Express request
+ * @returns {Function} - (page) => URL
+ */
+exports.pageUrlFor = (req) => {
+  const base = req.baseUrl + (req.path === '/' ? '' : req.path);
+  return (page) => {
+    const params = new URLSearchParams(req.query);
+    params.set('page', page);
+    return `${base}?${params}`;
+  };
+};
@@ -0,0 +1,72 @@
+/**
+ * Sharing helpers for movies and collections
+ * Author: Kaushalya Satharasinghe (n01718508)
+ */
+
+const crypto = require('crypto');
+
+// Who can see a movie or collection:
+// private - owner only, unlisted - anyone with the share link, public - everyone
+exports.visibilityLevels = ['private', 'unlisted', 'public'];
+
+/**
+ * Generate an unguessable token for share links
+ * @returns {string} - URL-safe random token
+ */
+const generateShareToken = () => crypto.randomBytes(18).toString('base64url');
+exports.generateShareToken = generateShareToken;
+
+/**
+ * Mongoose plugin adding a share token to a schema
+ * Adds the shareToken field, its index and an ensureShareToken() method
+ * @param {Object} schema - Mongoose schema
+ */
+exports.shareTokenPlugin = (schema) => {
+  schema.add({
+    // Secret token used in share links
+    shareToken: {
+      type: String,
+      default: generateShareToken
+    }
+  });
+
+  schema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+  // Documents created before sharing existed get a token filled in by the default
+  // when loaded; store it so share links keep working
+  schema.methods.ensureShareToken = async function() {
+    if (this.$isDefault('shareToken')) {
+      await this.constructor.updateOne(
+        { _id: this._id, shareToken: { $exists: false } },
+        { shareToken: this.shareToken }
+      );
+    }
+    return this.shareToken;
+  };
+};
+
+/**
+ * Absolute URL of a share link for the current host
+ * @param {Object} req - Express request
+ * @param {string} path - Path starting with /
+ * @returns {string} - Absolute URL
+ */
+exports.shareUrl = (req, path) => `${req.protocol}://${req.get('host')}${path}`;
+
+/**
+ * Whether a user can see a movie
+ * Owners and admins see every movie; anyone else public movies, or unlisted ones
+ * when they came through the share link, unless the owner's account is disabled
+ * @param {Object} movie - Movie document (populate userId with disabled for the disabled check)
+ * @param {Object|null} user - Logged-in user
+ * @param {string} [shareToken] - Token from the share link the movie was opened with
+ * @returns {boolean}
+ */
+exports.canViewMovie = (movie, user, shareToken) => {
+  const ownerId = movie.userId && movie.userId._id ? movie.userId._id : movie.userId;
+
+  if (user && (user._id.equals(ownerId) || user.hasRole('admin'))) return true;
+  if (movie.userId && movie.userId.disabled) return false;
+  if (movie.visibility === 'public') return true;
+  return movie.visibility === 'unlisted' && Boolean(shareToken) && shareToken === movie.shareToken;
+};
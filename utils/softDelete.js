@@ -0,0 +1,49 @@
+/**
+ * Soft delete (trash) support for Mongoose models
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+/**
+ * Mongoose plugin adding a deletedAt timestamp to a schema
+ * Reads (find, findOne, count, distinct, aggregate) skip trashed documents
+ * unless the filter mentions deletedAt itself, e.g. { deletedAt: { $ne: null } }
+ * for the trash, or the query calls .withDeleted() to see everything.
+ * Updates and deletes by filter are not changed.
+ * @param {Object} schema - Mongoose schema
+ */
+exports.softDeletePlugin = (schema) => {
+  schema.add({
+    // When the document was moved to the trash (null while it is in use)
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  // Include trashed documents in this query
+  schema.query.withDeleted = function() {
+    this._withDeleted = true;
+    return this;
+  };
+
+  function excludeDeleted() {
+    if (this._withDeleted || 'deletedAt' in this.getFilter()) return;
+    // null also matches documents saved before the field existed
+    this.where({ deletedAt: null });
+  }
+
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], excludeDeleted);
+
+  schema.pre('aggregate', function() {
+    const first = this.pipeline()[0];
+    if (first && first.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // True while the document is in the trash
+  schema.virtual('isDeleted').get(function() {
+    return this.deletedAt != null;
+  });
+};
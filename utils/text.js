@@ -0,0 +1,103 @@
+/**
+ * Text helpers for searching, displaying search results and movie tags
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+// Characters that have a special meaning in regular expressions
+const REGEX_SPECIAL = /[.*+?^${}()|[\]\\]/g;
+
+// Limits for the personal tags on a movie
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+exports.MAX_TAGS = MAX_TAGS;
+exports.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+
+// HTML entities used when escaping text for output
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape a string so it matches literally inside a RegExp
+ * @param {string} text - User input
+ * @returns {string} - Escaped pattern
+ */
+exports.escapeRegex = (text) => String(text).replace(REGEX_SPECIAL, '\\$&');
+
+/**
+ * Escape a string for safe HTML output
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped HTML
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => HTML_ENTITIES[ch]);
+exports.escapeHtml = escapeHtml;
+
+// Entities produced by express-validator's escape() and their characters
+const ESCAPED_ENTITIES = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"',
+  '&#x27;': "'", '&#x2F;': '/', '&#x5C;': '\\', '&#96;': '`'
+};
+
+/**
+ * Reverse express-validator's escape() for text leaving the app (e.g. exports)
+ * @param {string} text - Escaped text as stored
+ * @returns {string} - Original text
+ */
+exports.unescapeHtml = (text) => text == null
+  ? ''
+  : String(text).replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => ESCAPED_ENTITIES[entity]);
+
+/**
+ * Split a search query into words, keeping "quoted phrases" together
+ * @param {string} query - Search query
+ * @returns {string[]} - Search terms
+ */
+exports.searchTerms = (query) => {
+  if (!query) return [];
+  const terms = [];
+  String(query).replace(/"([^"]+)"|(\S+)/g, (match, phrase, word) => {
+    // Negated words (-word) are excluded from results, so never highlighted
+    if (word && word.startsWith('-')) return;
+
+    // Like the text index, ignore punctuation around single words
+    const term = phrase ? phrase.trim() : word.replace(/^\W+|\W+$/g, '');
+    if (term) terms.push(term);
+  });
+  return terms;
+};
+
+/**
+ * Escape text for HTML and wrap every search term match in <mark>
+ * @param {string} text - Raw text to display
+ * @param {string[]} terms - Terms to highlight
+ * @returns {string} - Safe HTML (use with != in Pug)
+ */
+exports.highlight = (text, terms) => {
+  if (text == null) return '';
+  if (!terms || terms.length === 0) return escapeHtml(text);
+
+  const pattern = new RegExp(`(${terms.map(exports.escapeRegex).join('|')})`, 'gi');
+
+  // Odd indexes of the split result are the captured matches
+  return String(text)
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+/**
+ * Turn a comma-separated tag string (or array) into clean tags
+ * Tags are lowercase with single spaces; a leading # is dropped and
+ * characters other than letters, numbers, spaces, - and _ are removed
+ * @param {string|string[]} value - Tags as typed ("Heist, #90s, feel good")
+ * @returns {string[]} - Unique tags in the order given
+ */
+exports.parseTags = (value) => {
+  const parts = Array.isArray(value) ? value : String(value || '').split(',');
+  const tags = parts
+    .map(tag => String(tag).toLowerCase()
+      .replace(/^#+/, '')
+      .replace(/[^\p{L}\p{N} _-]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
@@ -0,0 +1,124 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ * Compatible with authenticator apps (SHA-1, 6 digits, 30 second steps)
+ * Author: Tien Dung Pham (n01718811)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (the format authenticator apps expect for secrets)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 text without padding
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 text (spaces, padding and case are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} - Decoded bytes
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const ch of clean) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Create a new random secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} - 6 digit code
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+exports.codeForStep = codeForStep;
+
+/**
+ * Current time step
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number} - Time step
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+exports.currentStep = currentStep;
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [afterStep] - Reject steps up to this one (codes already used)
+ * @returns {number|null} - Matching time step, or null if the code is wrong
+ */
+exports.verify = (secret, code, afterStep = -1) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (step <= afterStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for the QR code scanned by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (the user's email)
+ * @param {string} issuer - App name shown in the authenticator
+ * @returns {string} - otpauth URI
+ */
+exports.keyUri = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params}`;
+};